@@ -0,0 +1,111 @@
+/**
+ * Fetch MediaPipe Assets
+ * Puts the hand tracking runtime and model into public/mediapipe/ so Vite serves them in dev
+ * and copies them into the build (see src/config/mediapipe.js).
+ *
+ * - WASM: copied from the installed @mediapipe/tasks-vision package, which must be the pinned version
+ * - Model: downloaded once from Google Storage; later runs (and offline machines that already
+ *   have it) reuse the file. To build fully offline, copy hand_landmarker.task to the path below.
+ *   Downloaded and existing files must match HAND_MODEL_SHA256.
+ *
+ * Runs automatically before `npm run dev` and `npm run build`. A model that can't be downloaded
+ * only prints a warning, so the build still succeeds behind a firewall (the game then needs the
+ * model copied in later, or VITE_MEDIAPIPE_CDN_FALLBACK). Pass --strict to fail instead:
+ *   npm run fetch-assets -- --strict
+ * A model with the wrong hash always fails.
+ */
+import { createHash } from 'node:crypto';
+import { copyFile, mkdir, readdir, readFile, rename, stat, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { MEDIAPIPE_VERSION, HAND_MODEL_PATH, HAND_MODEL_SHA256, CDN_MODEL_URL, getWasmPath } from '../src/config/mediapipe.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const packageDir = join(root, 'node_modules', '@mediapipe', 'tasks-vision');
+const assetDir = join(root, 'public', 'mediapipe');
+const strict = process.argv.includes('--strict');
+
+async function exists(path) {
+    try {
+        await stat(path);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function sha256(bytes) {
+    return createHash('sha256').update(bytes).digest('hex');
+}
+
+async function checkInstalledVersion() {
+    const { version } = JSON.parse(await readFile(join(packageDir, 'package.json'), 'utf8'));
+    if (version !== MEDIAPIPE_VERSION) {
+        throw new Error(
+            `@mediapipe/tasks-vision ${version} is installed, but src/config/mediapipe.js expects ${MEDIAPIPE_VERSION}. ` +
+            'Run npm install, or update MEDIAPIPE_VERSION together with package.json.'
+        );
+    }
+}
+
+async function copyWasm() {
+    const target = join(assetDir, getWasmPath());
+    await mkdir(target, { recursive: true });
+
+    const files = await readdir(join(packageDir, 'wasm'));
+    await Promise.all(files.map(file => copyFile(join(packageDir, 'wasm', file), join(target, file))));
+    console.log(`MediaPipe WASM ${MEDIAPIPE_VERSION} -> ${target}`);
+}
+
+/**
+ * Makes sure the verified model is in public/mediapipe/
+ * @returns {Promise<boolean>} false if it could not be downloaded
+ */
+async function downloadModel() {
+    const target = join(assetDir, HAND_MODEL_PATH);
+    if (await exists(target)) {
+        const hash = sha256(await readFile(target));
+        if (hash !== HAND_MODEL_SHA256) {
+            throw new Error(
+                `${target} has SHA-256 ${hash}, expected ${HAND_MODEL_SHA256}. ` +
+                'Delete it to download the model again, or replace it with the pinned hand_landmarker.task.'
+            );
+        }
+        console.log(`Hand model present: ${target}`);
+        return true;
+    }
+
+    console.log(`Downloading hand model from ${CDN_MODEL_URL} ...`);
+    const response = await fetch(CDN_MODEL_URL).catch(error => ({ ok: false, status: error.message }));
+    if (!response.ok) {
+        console.warn(
+            `Hand model download failed (${response.status}). Copy hand_landmarker.task ` +
+            `(SHA-256 ${HAND_MODEL_SHA256}) to ${target} manually; hand tracking won't start without it.`
+        );
+        return false;
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    const hash = sha256(bytes);
+    if (hash !== HAND_MODEL_SHA256) {
+        throw new Error(`Downloaded hand model has SHA-256 ${hash}, expected ${HAND_MODEL_SHA256}; it was not saved.`);
+    }
+
+    // Write to a temporary file first so an interrupted write is not mistaken for the model
+    await mkdir(dirname(target), { recursive: true });
+    await writeFile(`${target}.download`, bytes);
+    await rename(`${target}.download`, target);
+    console.log(`Hand model -> ${target}`);
+    return true;
+}
+
+try {
+    await checkInstalledVersion();
+    await copyWasm();
+    if (!await downloadModel() && strict) {
+        process.exitCode = 1;
+    }
+} catch (error) {
+    console.error(`fetch-mediapipe-assets: ${error.message}`);
+    process.exitCode = 1;
+}
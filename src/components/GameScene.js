@@ -1,36 +1,64 @@
 import * as THREE from 'three';
+import { getFruitDefinition } from '../config/fruits.js';
+import { sliceGeometry } from '../utils/MeshSlicer.js';
+import { createGameMode } from '../modes/index.js';
+import { ParticleSystem } from './ParticleSystem.js';
+import { PostProcessing } from './PostProcessing.js';
+import { GameSimulation, createPerspectiveView } from '../core/GameSimulation.js';
+import { getCurrentPerformanceConfig } from '../config/performance.js';
+
+// 相机：竖直视场角和到 z = 0 平面的距离（模拟核心的碰撞投影使用同样的参数）
+const CAMERA_FOV = 75;
+const CAMERA_DISTANCE = 10;
 
 /**
  * 游戏场景组件
- * 使用 Three.js 实现 3D 场景、水果生成、运动轨迹、切割效果等
+ * 使用 Three.js 绘制游戏模拟核心（core/GameSimulation.js）的状态：
+ * 为每个水果、炸弹创建网格并插值绘制，根据模拟事件播放切开、爆炸、粒子和后期效果。
+ * 生成、运动、碰撞和难度都在模拟核心中完成。
  */
 export class GameScene {
-    constructor(container, onFruitCut, onBombCut) {
+    constructor(container, onFruitCut, onBombCut, onFruitMissed) {
         this.container = container;
         this.onFruitCut = onFruitCut;
         this.onBombCut = onBombCut;
+        this.onFruitMissed = onFruitMissed;
 
         // 场景设置
         this.scene = null;
         this.camera = null;
         this.renderer = null;
-        this.clock = new THREE.Clock();
 
-        // 游戏对象
-        this.fruits = [];
-        this.bombs = [];
-        this.particles = [];
-
-        // 游戏参数
-        this.spawnRate = 0.4; // 初始每秒生成数量 (约2.5秒一个)
-        this.fruitSpeed = 5.0;
-        this.difficulty = 1.0;
-        this.gameTime = 0;
-        this.isPaused = true; // 游戏是否暂停
-        this.lastSpawnTime = 0; // 上次生成时间
+        // 游戏对象：模拟物体 id -> 网格
+        this.objectMeshes = new Map();
+        this.particleSystem = null; // 粒子对象池，在 init() 中创建
+        this.fruitHalves = []; // 切开后的水果两半（纯视觉效果，不参与模拟）
+
+        // 画质：最大像素比和后期处理开关（来自性能预设，运行时由自适应画质调整）
+        this.maxPixelRatio = getCurrentPerformanceConfig().pixelRatio;
+        this.postProcessingEnabled = getCurrentPerformanceConfig().enablePostProcessing;
+        this.postProcessing = null; // 开启后期处理时才创建（低端设备不创建）
+        this.lowTimeWarning = false; // 最后 10 秒的暗角提示
+
+        // 游戏模式：规则集和波次文件
+        this.gameMode = createGameMode();
+
+        // 屏幕投影：与相机参数一致，碰撞检测在画布像素坐标中进行
+        // 回放时固定为录制时的画布尺寸（见 setViewSize），否则跟随画布大小
+        this.view = createPerspectiveView({
+            width: container.clientWidth,
+            height: container.clientHeight,
+            fov: CAMERA_FOV,
+            distance: CAMERA_DISTANCE
+        });
+        this.viewSizeOverride = null;
 
-        // 水果类型
-        this.fruitTypes = ['apple', 'watermelon', 'orange', 'banana', 'pineapple'];
+        // 模拟核心：生成密度来自性能预设的 fruitSpawnRate
+        this.simulation = new GameSimulation({
+            waves: this.gameMode.waves,
+            spawnRate: getCurrentPerformanceConfig().fruitSpawnRate,
+            view: this.view
+        });
 
         // 切割路径
         this.cuttingPaths = [];
@@ -51,8 +79,8 @@ export class GameScene {
         // 创建相机
         const width = this.container.clientWidth;
         const height = this.container.clientHeight;
-        this.camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 1000);
-        this.camera.position.set(0, 0, 10);
+        this.camera = new THREE.PerspectiveCamera(CAMERA_FOV, width / height, 0.1, 1000);
+        this.camera.position.set(0, 0, CAMERA_DISTANCE);
         this.camera.lookAt(0, 0, 0);
 
         // 创建渲染器
@@ -62,7 +90,7 @@ export class GameScene {
             alpha: true
         });
         this.renderer.setSize(width, height);
-        this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.maxPixelRatio));
 
         // 添加光源
         const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
@@ -74,503 +102,430 @@ export class GameScene {
 
         // 网格地面已移除 - 现在背景是摄像头画面
 
-        // 窗口大小调整监听
-        window.addEventListener('resize', () => this.onWindowResize());
+        // 粒子对象池：每次爆炸的粒子数来自性能预设
+        this.particleSystem = new ParticleSystem(this.scene, {
+            burstSize: getCurrentPerformanceConfig().particleCount
+        });
 
-        // 开始渲染循环
-        this.animate();
+        this.setPostProcessingEnabled(this.postProcessingEnabled);
+
+        // 窗口大小调整监听（保存引用，dispose() 时移除）
+        this.handleResize = () => this.onWindowResize();
+        window.addEventListener('resize', this.handleResize);
+
+        // 渲染循环由外部 FrameScheduler 驱动：fixedUpdate() 推进逻辑，render() 绘制画面
     }
 
     /**
-     * 渲染循环
+     * 固定步长逻辑更新
+     * 推进模拟核心，再根据本步的事件更新场景
+     * @param {number} stepTime - 固定步长（秒），由 FrameScheduler 提供
+     * @param {object} [input] - 本步输入，回放时由录像提供
+     * @param {Array} [input.cuttingPaths] - 切割路径，默认为最近一次 updateCuttingPaths() 的路径
+     * @param {number} [input.now=Date.now()] - 与路径点 timestamp 同一时钟的当前时间（毫秒）
      */
-    animate() {
-        requestAnimationFrame(() => this.animate());
-
-        const deltaTime = this.clock.getDelta();
-        this.gameTime += deltaTime;
+    fixedUpdate(stepTime, { cuttingPaths = this.cuttingPaths, now = Date.now() } = {}) {
+        const deltaTime = stepTime * this.simulation.timeScale;
+        const events = this.simulation.step(stepTime, cuttingPaths, now);
 
-        // 更新难度
-        this.updateDifficulty();
+        this.syncObjects();
+        this.updateFruitHalves(deltaTime);
+        this.particleSystem.update(deltaTime);
 
-        // 生成水果和炸弹
-        this.spawnObjects(deltaTime);
+        events.forEach(event => this.handleSimulationEvent(event));
 
-        // 更新游戏对象
-        this.updateFruits(deltaTime);
-        this.updateBombs(deltaTime);
-        this.updateParticles(deltaTime);
-
-        // 检测切割碰撞
-        this.checkCuttingCollisions();
-
-        // 清理超出屏幕的对象
-        this.cleanupObjects();
-
-        // 渲染场景
-        this.renderer.render(this.scene, this.camera);
+        // 清理掉出屏幕的水果两半
+        this.cleanupFruitHalves();
     }
 
     /**
-     * 更新游戏难度
-     * 分阶段生成速率：
-     * - 前20秒：每2-3秒一个 (spawnInterval = 2.5s)
-     * - 中间20秒：每1.5秒一个 (spawnInterval = 1.5s)
-     * - 后20秒：每1秒一个 (spawnInterval = 1s)
+     * 处理模拟事件
      */
-    updateDifficulty() {
-        // 根据游戏时间计算生成间隔
-        if (this.gameTime < 20) {
-            // 前20秒：2-3秒一个
-            this.spawnInterval = 2.5;
-        } else if (this.gameTime < 40) {
-            // 中间20秒：1.5秒一个
-            this.spawnInterval = 1.5;
-        } else {
-            // 后20秒：1秒一个
-            this.spawnInterval = 1.0;
+    handleSimulationEvent(event) {
+        switch (event.type) {
+            case 'spawn':
+                this.addObjectMesh(event.object);
+                break;
+            case 'fruitCut':
+                this.cutFruit(event);
+                break;
+            case 'bombCut':
+                this.cutBomb(event);
+                break;
+            case 'fruitMissed':
+                if (this.onFruitMissed) {
+                    this.onFruitMissed(event.fruitType);
+                }
+                break;
+            case 'removed':
+                this.removeObjectMesh(event.object);
+                break;
         }
-
-        this.difficulty = 1.0 + this.gameTime * 0.05;
-        this.fruitSpeed = 5.0 + this.gameTime * 0.05;
     }
 
     /**
-     * 生成水果和炸弹
-     * 基于时间间隔而非概率，使生成更加均匀
+     * 渲染场景
+     * 在上一步和当前步的位置之间插值，使画面在任意刷新率下都平滑
+     * @param {number} alpha - 插值系数 0..1
      */
-    spawnObjects(deltaTime) {
-        // 如果游戏暂停，不生成物体
-        if (this.isPaused) return;
+    render(alpha = 1, deltaTime = 0) {
+        this.simulation.getObjects().forEach(object => {
+            const mesh = this.objectMeshes.get(object.id);
+            if (!mesh) return;
 
-        // 初始化 spawnInterval
-        if (!this.spawnInterval) {
-            this.spawnInterval = 2.5;
-        }
+            const previous = object.previousPosition;
+            const current = object.position;
+            mesh.position.set(
+                previous.x + (current.x - previous.x) * alpha,
+                previous.y + (current.y - previous.y) * alpha,
+                previous.z + (current.z - previous.z) * alpha
+            );
+        });
 
-        // 检查是否到了生成时间
-        if (this.gameTime - this.lastSpawnTime >= this.spawnInterval) {
-            this.lastSpawnTime = this.gameTime;
+        // 水果两半：先插值，渲染后恢复逻辑位置
+        const currentPositions = this.fruitHalves.map(half => half.position.clone());
+        this.fruitHalves.forEach(half => {
+            half.position.lerpVectors(half.userData.previousPosition, half.position, alpha);
+        });
 
-            // 80% 概率生成水果，20% 概率生成炸弹
-            if (Math.random() < 0.8) {
-                this.spawnFruit();
-            } else {
-                this.spawnBomb();
-            }
+        if (this.postProcessing) {
+            this.postProcessing.render(deltaTime);
+        } else {
+            this.renderer.render(this.scene, this.camera);
         }
+
+        this.fruitHalves.forEach((half, index) => {
+            half.position.copy(currentPositions[index]);
+        });
     }
 
     /**
-     * 生成水果
-     * 从顶部或左上/右上角生成，以直线或抛物线方式掉落
+     * 设置生成密度（性能预设的 fruitSpawnRate）
      */
-    spawnFruit() {
-        const fruitType = this.fruitTypes[Math.floor(Math.random() * this.fruitTypes.length)];
-        const geometry = this.createFruitGeometry(fruitType);
-        const material = this.createFruitMaterial(fruitType);
-        const mesh = new THREE.Mesh(geometry, material);
+    setSpawnRate(spawnRate) {
+        this.simulation.setSpawnRate(spawnRate);
+    }
 
-        // 随机选择生成位置类型：0-顶部中间，1-左上角，2-右上角
-        const spawnType = Math.floor(Math.random() * 3);
-        const speed = this.fruitSpeed * (0.8 + Math.random() * 0.4);
+    /**
+     * 设置最大像素比（不超过设备像素比）
+     */
+    setPixelRatio(pixelRatio) {
+        this.maxPixelRatio = pixelRatio;
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, pixelRatio));
+        if (this.postProcessing) {
+            this.postProcessing.setSize();
+        }
+    }
 
-        let velocity;
+    /**
+     * 开启/关闭后期处理：关闭时释放合成器，直接渲染场景
+     */
+    setPostProcessingEnabled(enabled) {
+        this.postProcessingEnabled = enabled;
+
+        if (enabled && !this.postProcessing) {
+            this.postProcessing = new PostProcessing(this.renderer, this.scene, this.camera);
+            this.postProcessing.setVignetteActive(this.lowTimeWarning);
+        } else if (!enabled && this.postProcessing) {
+            this.postProcessing.dispose();
+            this.postProcessing = null;
+        }
+    }
 
-        if (spawnType === 0) {
-            // 从顶部中间区域直线下落
-            mesh.position.set(
-                (Math.random() - 0.5) * 8, // X: -4 到 4
-                8,                          // Y: 顶部
-                (Math.random() - 0.5) * 2   // Z: 略微随机
-            );
-            // 主要向下的速度，略微水平偏移
-            velocity = new THREE.Vector3(
-                (Math.random() - 0.5) * 1.5, // 小幅水平偏移
-                -speed * 0.6,                 // 向下
-                0
-            );
-        } else if (spawnType === 1) {
-            // 从左上角以抛物线方式掉落
-            mesh.position.set(
-                -7,                          // X: 左边
-                6 + Math.random() * 2,       // Y: 顶部附近
-                (Math.random() - 0.5) * 2
-            );
-            // 向右下方的抛物线初始速度
-            velocity = new THREE.Vector3(
-                speed * 0.4 + Math.random() * 0.3, // 向右
-                speed * 0.2,                        // 初始向上（抛物线顶点）
-                0
-            );
-        } else {
-            // 从右上角以抛物线方式掉落
-            mesh.position.set(
-                7,                           // X: 右边
-                6 + Math.random() * 2,       // Y: 顶部附近
-                (Math.random() - 0.5) * 2
-            );
-            // 向左下方的抛物线初始速度
-            velocity = new THREE.Vector3(
-                -(speed * 0.4 + Math.random() * 0.3), // 向左
-                speed * 0.2,                           // 初始向上（抛物线顶点）
-                0
-            );
+    /**
+     * 最后 10 秒提示：开启/关闭暗角
+     */
+    setLowTimeWarning(active) {
+        this.lowTimeWarning = active;
+        if (this.postProcessing) {
+            this.postProcessing.setVignetteActive(active);
         }
+    }
 
-        mesh.userData = {
-            type: 'fruit',
-            fruitType: fruitType,
-            velocity: velocity,
-            angularVelocity: new THREE.Vector3(
-                (Math.random() - 0.5) * 3,
-                (Math.random() - 0.5) * 3,
-                (Math.random() - 0.5) * 3
-            ),
-            isCut: false,
-            radius: 0.6,
-            gravity: 4.0 // 重力加速度
-        };
+    /**
+     * 设置时间流速（1 为正常速度）
+     */
+    setTimeScale(scale) {
+        this.simulation.setTimeScale(scale);
+    }
 
-        this.scene.add(mesh);
-        this.fruits.push(mesh);
+    /**
+     * 开始狂热：持续 duration 秒（游戏时间）从两侧抛出水果
+     */
+    startFrenzy(duration) {
+        this.simulation.startFrenzy(duration);
     }
 
     /**
-     * 生成炸弹
-     * 与水果相同的生成逻辑，从顶部或左上/右上角生成
+     * 结束狂热
      */
-    spawnBomb() {
-        const geometry = new THREE.SphereGeometry(0.8, 32, 32);
-        const material = new THREE.MeshPhongMaterial({
-            color: 0x000000,
-            emissive: 0x333333
-        });
-        const mesh = new THREE.Mesh(geometry, material);
+    stopFrenzy() {
+        this.simulation.stopFrenzy();
+    }
 
-        // 随机选择生成位置类型：0-顶部中间，1-左上角，2-右上角
-        const spawnType = Math.floor(Math.random() * 3);
-        const speed = this.fruitSpeed * (0.8 + Math.random() * 0.4);
+    /**
+     * 设置游戏模式，在下一次 reset() 时生效
+     */
+    setGameMode(gameMode) {
+        this.gameMode = gameMode;
+        this.setWaves(gameMode.waves);
+    }
 
-        let velocity;
+    /**
+     * 设置波次文件（格式见 config/waves/index.js），按游戏时间从头播放
+     * 文件格式不正确时抛出错误，原有波次保持不变
+     */
+    setWaves(waveFile) {
+        this.simulation.setWaves(waveFile);
+    }
 
-        if (spawnType === 0) {
-            // 从顶部中间区域直线下落
-            mesh.position.set(
-                (Math.random() - 0.5) * 8,
-                8,
-                (Math.random() - 0.5) * 2
-            );
-            velocity = new THREE.Vector3(
-                (Math.random() - 0.5) * 1.5,
-                -speed * 0.6,
-                0
-            );
-        } else if (spawnType === 1) {
-            // 从左上角以抛物线方式掉落
-            mesh.position.set(
-                -7,
-                6 + Math.random() * 2,
-                (Math.random() - 0.5) * 2
-            );
-            velocity = new THREE.Vector3(
-                speed * 0.4 + Math.random() * 0.3,
-                speed * 0.2,
-                0
+    /**
+     * 设置刀锋最低速度（像素/秒），0 表示不限制
+     */
+    setMinBladeSpeed(speed) {
+        this.simulation.setMinBladeSpeed(speed);
+    }
+
+    /**
+     * 为新生成的模拟物体创建网格
+     */
+    addObjectMesh(object) {
+        let mesh;
+        if (object.kind === 'fruit') {
+            mesh = new THREE.Mesh(
+                this.createFruitGeometry(object.fruitType),
+                this.createFruitMaterial(object.fruitType)
             );
         } else {
-            // 从右上角以抛物线方式掉落
-            mesh.position.set(
-                7,
-                6 + Math.random() * 2,
-                (Math.random() - 0.5) * 2
-            );
-            velocity = new THREE.Vector3(
-                -(speed * 0.4 + Math.random() * 0.3),
-                speed * 0.2,
-                0
+            mesh = new THREE.Mesh(
+                new THREE.SphereGeometry(0.8, 32, 32),
+                new THREE.MeshPhongMaterial({
+                    color: 0x000000,
+                    emissive: 0x333333
+                })
             );
         }
 
         mesh.userData = {
-            type: 'bomb',
-            velocity: velocity,
-            angularVelocity: new THREE.Vector3(
-                (Math.random() - 0.5) * 3,
-                (Math.random() - 0.5) * 3,
-                (Math.random() - 0.5) * 3
-            ),
-            isCut: false,
-            radius: 0.8,
-            gravity: 4.0
+            id: object.id,
+            type: object.kind,
+            fruitType: object.fruitType
         };
+        this.syncMesh(mesh, object);
 
         this.scene.add(mesh);
-        this.bombs.push(mesh);
+        this.objectMeshes.set(object.id, mesh);
     }
 
     /**
-     * 创建水果几何体
-     * 水果放大2倍，使特征更明显
+     * 移除并释放模拟物体的网格
      */
-    createFruitGeometry(fruitType) {
-        switch (fruitType) {
-            case 'apple':
-                return new THREE.SphereGeometry(0.6, 32, 32); // 原0.3，放大2倍
-            case 'watermelon':
-                return new THREE.SphereGeometry(0.8, 32, 32); // 原0.4，放大2倍
-            case 'orange':
-                return new THREE.SphereGeometry(0.5, 32, 32); // 原0.25，放大2倍
-            case 'banana':
-                return new THREE.ConeGeometry(0.4, 1.2, 16); // 放大2倍
-            case 'pineapple':
-                return new THREE.CylinderGeometry(0.5, 0.6, 1.0, 16); // 放大2倍
-            default:
-                return new THREE.SphereGeometry(0.6, 32, 32);
-        }
-    }
+    removeObjectMesh(object) {
+        const mesh = this.objectMeshes.get(object.id);
+        if (!mesh) return;
 
-    /**
-     * 创建水果材质
-     */
-    createFruitMaterial(fruitType) {
-        const colors = {
-            apple: 0xFF0000,
-            watermelon: 0x90EE90,
-            orange: 0xFFA500,
-            banana: 0xFFFF00,
-            pineapple: 0xFFD700
-        };
-
-        return new THREE.MeshPhongMaterial({
-            color: colors[fruitType] || 0xFF0000,
-            shininess: 100
-        });
+        this.disposeObject(mesh);
+        this.objectMeshes.delete(object.id);
     }
 
     /**
-     * 更新水果位置
-     * 添加重力效果，使抛物线运动更自然
+     * 把网格的位置和旋转同步为模拟物体的逻辑状态
      */
-    updateFruits(deltaTime) {
-        this.fruits.forEach((fruit, index) => {
-            if (fruit.userData.isCut) return;
-
-            // 应用重力到速度（Y轴向下）
-            if (fruit.userData.gravity) {
-                fruit.userData.velocity.y -= fruit.userData.gravity * deltaTime;
-            }
-
-            // 更新位置
-            fruit.position.add(
-                fruit.userData.velocity.clone().multiplyScalar(deltaTime)
-            );
-
-            // 更新旋转
-            fruit.rotation.x += fruit.userData.angularVelocity.x * deltaTime;
-            fruit.rotation.y += fruit.userData.angularVelocity.y * deltaTime;
-            fruit.rotation.z += fruit.userData.angularVelocity.z * deltaTime;
-        });
+    syncMesh(mesh, object) {
+        mesh.position.set(object.position.x, object.position.y, object.position.z);
+        mesh.rotation.set(object.rotation.x, object.rotation.y, object.rotation.z);
     }
 
     /**
-     * 更新炸弹位置
-     * 添加重力效果
+     * 同步所有网格，并更新炸弹闪烁效果
      */
-    updateBombs(deltaTime) {
-        this.bombs.forEach((bomb, index) => {
-            if (bomb.userData.isCut) return;
-
-            // 应用重力到速度（Y轴向下）
-            if (bomb.userData.gravity) {
-                bomb.userData.velocity.y -= bomb.userData.gravity * deltaTime;
-            }
-
-            bomb.position.add(
-                bomb.userData.velocity.clone().multiplyScalar(deltaTime)
-            );
+    syncObjects() {
+        this.simulation.fruits.forEach(fruit => {
+            const mesh = this.objectMeshes.get(fruit.id);
+            if (mesh) this.syncMesh(mesh, fruit);
+        });
 
-            bomb.rotation.x += bomb.userData.angularVelocity.x * deltaTime;
-            bomb.rotation.y += bomb.userData.angularVelocity.y * deltaTime;
-            bomb.rotation.z += bomb.userData.angularVelocity.z * deltaTime;
+        const time = this.simulation.gameTime * 5;
+        this.simulation.bombs.forEach((bomb, index) => {
+            const mesh = this.objectMeshes.get(bomb.id);
+            if (!mesh) return;
 
+            this.syncMesh(mesh, bomb);
             // 炸弹闪烁效果
-            const time = this.gameTime * 5;
-            bomb.material.emissive.setHex(
+            mesh.material.emissive.setHex(
                 Math.sin(time + index) > 0 ? 0x666666 : 0x000000
             );
         });
     }
 
     /**
-     * 更新粒子效果
+     * 创建水果几何体
+     * 几何参数来自水果配置表 (config/fruits.js)
      */
-    updateParticles(deltaTime) {
-        this.particles.forEach((particle, index) => {
-            particle.position.add(
-                particle.userData.velocity.clone().multiplyScalar(deltaTime)
-            );
-            particle.userData.life -= deltaTime;
-            particle.material.opacity = particle.userData.life / particle.userData.maxLife;
-
-            if (particle.userData.life <= 0) {
-                this.scene.remove(particle);
-                this.particles.splice(index, 1);
-            }
-        });
+    createFruitGeometry(fruitType) {
+        const shape = getFruitDefinition(fruitType).geometry;
+
+        switch (shape.type) {
+            case 'cone':
+                return new THREE.ConeGeometry(shape.radius, shape.height, shape.segments);
+            case 'cylinder':
+                return new THREE.CylinderGeometry(shape.radiusTop, shape.radiusBottom, shape.height, shape.segments);
+            case 'sphere':
+            default:
+                return new THREE.SphereGeometry(shape.radius, shape.segments, shape.segments);
+        }
     }
 
     /**
-     * 检测切割碰撞
+     * 创建水果材质
      */
-    checkCuttingCollisions() {
-        if (this.cuttingPaths.length === 0) return;
-
-        // 检查水果碰撞
-        this.fruits.forEach(fruit => {
-            if (fruit.userData.isCut) return;
-
-            const worldPos = fruit.position.clone();
-            const screenPos = this.worldToScreen(worldPos);
-
-            if (this.isPointOnPath(screenPos, this.cuttingPaths)) {
-                this.cutFruit(fruit);
-            }
-        });
-
-        // 检查炸弹碰撞
-        this.bombs.forEach(bomb => {
-            if (bomb.userData.isCut) return;
-
-            const worldPos = bomb.position.clone();
-            const screenPos = this.worldToScreen(worldPos);
+    createFruitMaterial(fruitType) {
+        const { color, shininess, emissive } = getFruitDefinition(fruitType).material;
 
-            if (this.isPointOnPath(screenPos, this.cuttingPaths)) {
-                this.cutBomb(bomb);
-            }
+        return new THREE.MeshPhongMaterial({
+            color: color,
+            shininess: shininess,
+            emissive: emissive || 0x000000
         });
     }
 
     /**
-     * 世界坐标转屏幕坐标
+     * 更新切开的水果两半
+     * 各自保持独立的速度和旋转，受重力下落
      */
-    worldToScreen(worldPos) {
-        const vector = worldPos.clone();
-        vector.project(this.camera);
+    updateFruitHalves(deltaTime) {
+        this.fruitHalves.forEach(half => {
+            half.userData.previousPosition.copy(half.position);
+            half.userData.velocity.y -= half.userData.gravity * deltaTime;
 
-        const width = this.renderer.domElement.clientWidth;
-        const height = this.renderer.domElement.clientHeight;
+            half.position.add(
+                half.userData.velocity.clone().multiplyScalar(deltaTime)
+            );
 
-        return {
-            x: (vector.x + 1) * width / 2,
-            y: (-vector.y + 1) * height / 2
-        };
+            half.rotation.x += half.userData.angularVelocity.x * deltaTime;
+            half.rotation.y += half.userData.angularVelocity.y * deltaTime;
+            half.rotation.z += half.userData.angularVelocity.z * deltaTime;
+        });
     }
 
     /**
-     * 检查点是否在切割路径上
-     * 优化：提高检测灵敏度，增加检测范围
+     * 切割水果
+     * @param {{object: object, segment: {start: {x, y}, end: {x, y}, hand: string}|null, hand: string|null, screenPosition: {x, y}}} event
+     *        模拟核心的 fruitCut 事件，segment 决定切割方向
      */
-    isPointOnPath(point, paths) {
-        for (const path of paths) {
-            // 检测更多的路径点，提高成功率
-            const recentPointsCount = Math.min(8, path.points.length); // 从5增加到8个点
-            const startIndex = Math.max(0, path.points.length - recentPointsCount);
-            
-            for (let i = startIndex; i < path.points.length - 1; i++) {
-                const p1 = path.points[i];
-                const p2 = path.points[i + 1];
+    cutFruit({ object, segment, hand, screenPosition }) {
+        const fruit = this.objectMeshes.get(object.id);
 
-                const distance = this.pointToLineDistance(
-                    point,
-                    p1,
-                    p2
-                );
+        if (fruit) {
+            this.syncMesh(fruit, object);
+            const { fleshColor } = getFruitDefinition(object.fruitType).material;
 
-                // 增大检测阈值，提高切割成功率
-                if (distance < 25) { // 从20增加到25像素
-                    return true;
-                }
-            }
-        }
-        return false;
-    }
-
-    /**
-     * 计算点到线段的距离
-     */
-    pointToLineDistance(point, lineStart, lineEnd) {
-        const A = point.x - lineStart.x;
-        const B = point.y - lineStart.y;
-        const C = lineEnd.x - lineStart.x;
-        const D = lineEnd.y - lineStart.y;
+            // 沿切割方向把水果切成两半
+            this.splitFruit(fruit, object, segment);
 
-        const dot = A * C + B * D;
-        const lenSq = C * C + D * D;
-        let param = -1;
+            // 果汁飞溅
+            this.createParticleExplosion(fruit.position, new THREE.Color(fleshColor));
 
-        if (lenSq !== 0) {
-            param = dot / lenSq;
+            // 移除水果
+            this.removeObjectMesh(object);
         }
 
-        let xx, yy;
-
-        if (param < 0) {
-            xx = lineStart.x;
-            yy = lineStart.y;
-        } else if (param > 1) {
-            xx = lineEnd.x;
-            yy = lineEnd.y;
-        } else {
-            xx = lineStart.x + param * C;
-            yy = lineStart.y + param * D;
+        // 通知外部：附带切割的手和水果屏幕位置，用于连击判定和提示
+        if (this.onFruitCut) {
+            this.onFruitCut(object.fruitType, { hand, screenPosition });
         }
-
-        const dx = point.x - xx;
-        const dy = point.y - yy;
-        return Math.sqrt(dx * dx + dy * dy);
     }
 
     /**
-     * 切割水果
+     * 把水果网格沿切割平面分成两半
+     * 切割平面包含划动方向和视线方向，两半沿平面法线向两侧分开
+     * @param {THREE.Mesh} fruit - 水果网格
+     * @param {object} object - 对应的模拟物体（速度、旋转速度、重力）
      */
-    cutFruit(fruit) {
-        if (fruit.userData.isCut) return;
-
-        fruit.userData.isCut = true;
-
-        // 创建粒子爆炸效果
-        this.createParticleExplosion(fruit.position, fruit.material.color);
-
-        // 移除水果
-        this.scene.remove(fruit);
-        const index = this.fruits.indexOf(fruit);
-        if (index > -1) {
-            this.fruits.splice(index, 1);
+    splitFruit(fruit, object, segment) {
+        // 屏幕坐标 y 轴向下，世界坐标 y 轴向上；无方向时默认竖直切
+        let dx = 0;
+        let dy = 1;
+        if (segment) {
+            dx = segment.end.x - segment.start.x;
+            dy = segment.end.y - segment.start.y;
         }
-
-        // 通知外部
-        if (this.onFruitCut) {
-            this.onFruitCut(fruit.userData.fruitType);
+        const worldNormal = new THREE.Vector3(dy, dx, 0);
+        if (worldNormal.lengthSq() === 0) {
+            worldNormal.set(1, 0, 0);
         }
+        worldNormal.normalize();
+
+        // 转换到水果局部坐标系
+        const inverseRotation = fruit.quaternion.clone().invert();
+        const localNormal = worldNormal.clone().applyQuaternion(inverseRotation);
+        const plane = new THREE.Plane(localNormal, 0);
+
+        const { positive, negative } = sliceGeometry(fruit.geometry, plane);
+        const { fleshColor } = getFruitDefinition(object.fruitType).material;
+        const velocity = new THREE.Vector3(object.velocity.x, object.velocity.y, object.velocity.z);
+        const angularVelocity = new THREE.Vector3(
+            object.angularVelocity.x,
+            object.angularVelocity.y,
+            object.angularVelocity.z
+        );
+
+        [[positive, 1], [negative, -1]].forEach(([geometry, direction]) => {
+            if (!geometry) return;
+
+            // 每一半持有自己的材质，移除时可以单独释放（原水果随后整体释放）
+            const skinMaterial = fruit.material.clone();
+            const fleshMaterial = new THREE.MeshPhongMaterial({
+                color: fleshColor,
+                shininess: 30
+            });
+
+            // 以每一半自身的中心为旋转中心
+            geometry.computeBoundingBox();
+            const center = geometry.boundingBox.getCenter(new THREE.Vector3());
+            geometry.translate(-center.x, -center.y, -center.z);
+
+            const half = new THREE.Mesh(geometry, [skinMaterial, fleshMaterial]);
+            half.quaternion.copy(fruit.quaternion);
+            half.position.copy(center.applyQuaternion(fruit.quaternion).add(fruit.position));
+
+            const separation = worldNormal.clone().multiplyScalar(direction * 1.5);
+
+            half.userData = {
+                type: 'fruitHalf',
+                fruitType: object.fruitType,
+                previousPosition: half.position.clone(),
+                velocity: velocity.clone().add(separation),
+                // 两半向相反方向翻转
+                angularVelocity: angularVelocity.clone().add(
+                    new THREE.Vector3(0, 0, -direction * 2)
+                ),
+                gravity: object.gravity
+            };
+
+            this.scene.add(half);
+            this.fruitHalves.push(half);
+        });
     }
 
     /**
      * 切割炸弹
+     * @param {{object: object}} event - 模拟核心的 bombCut 事件
      */
-    cutBomb(bomb) {
-        if (bomb.userData.isCut) return;
+    cutBomb({ object }) {
+        const bomb = this.objectMeshes.get(object.id);
 
-        bomb.userData.isCut = true;
+        if (bomb) {
+            this.syncMesh(bomb, object);
 
-        // 创建爆炸效果
-        this.createBombExplosion(bomb.position);
+            // 创建爆炸效果
+            this.createBombExplosion(bomb.position);
 
-        // 移除炸弹
-        this.scene.remove(bomb);
-        const index = this.bombs.indexOf(bomb);
-        if (index > -1) {
-            this.bombs.splice(index, 1);
+            // 移除炸弹
+            this.removeObjectMesh(object);
+        }
+        if (this.postProcessing) {
+            this.postProcessing.triggerBombHit();
         }
 
         // 通知外部
@@ -580,92 +535,68 @@ export class GameScene {
     }
 
     /**
-     * 创建粒子爆炸效果
+     * 创建粒子爆炸效果（果汁飞溅）
      */
     createParticleExplosion(position, color) {
-        const particleCount = 20;
-
-        for (let i = 0; i < particleCount; i++) {
-            const geometry = new THREE.SphereGeometry(0.05, 8, 8);
-            const material = new THREE.MeshBasicMaterial({
-                color: color,
-                transparent: true,
-                opacity: 1
-            });
-            const particle = new THREE.Mesh(geometry, material);
-
-            particle.position.copy(position);
-
-            const angle = (Math.PI * 2 * i) / particleCount;
-            const speed = 2 + Math.random() * 3;
-            particle.userData.velocity = new THREE.Vector3(
-                Math.cos(angle) * speed,
-                Math.sin(angle) * speed + Math.random() * 2,
-                (Math.random() - 0.5) * speed
-            );
-
-            particle.userData.life = 1.0;
-            particle.userData.maxLife = 1.0;
-
-            this.scene.add(particle);
-            this.particles.push(particle);
-        }
+        this.particleSystem.emit(position, {
+            color: color,
+            speed: 2,
+            speedVariance: 3,
+            size: 0.05,
+            life: 1.0,
+            gravity: 4.0
+        });
     }
 
     /**
      * 创建炸弹爆炸效果
+     * 粒子数为普通爆炸的 1.5 倍
      */
     createBombExplosion(position) {
-        const particleCount = 30;
-
-        for (let i = 0; i < particleCount; i++) {
-            const geometry = new THREE.SphereGeometry(0.08, 8, 8);
-            const material = new THREE.MeshBasicMaterial({
-                color: 0xFF4500,
-                transparent: true,
-                opacity: 1
-            });
-            const particle = new THREE.Mesh(geometry, material);
-
-            particle.position.copy(position);
-
-            const angle = (Math.PI * 2 * i) / particleCount;
-            const speed = 3 + Math.random() * 4;
-            particle.userData.velocity = new THREE.Vector3(
-                Math.cos(angle) * speed,
-                Math.sin(angle) * speed + Math.random() * 2,
-                (Math.random() - 0.5) * speed
-            );
-
-            particle.userData.life = 1.5;
-            particle.userData.maxLife = 1.5;
-
-            this.scene.add(particle);
-            this.particles.push(particle);
-        }
+        this.particleSystem.emit(position, {
+            count: Math.round(this.particleSystem.burstSize * 1.5),
+            color: 0xFF4500,
+            speed: 3,
+            speedVariance: 4,
+            size: 0.08,
+            life: 1.5
+        });
     }
 
     /**
-     * 清理超出屏幕的对象
+     * 清理掉出屏幕的水果两半（水果和炸弹由模拟核心的 removed 事件移除）
      */
-    cleanupObjects() {
-        // 清理水果
-        this.fruits = this.fruits.filter(fruit => {
-            if (fruit.position.y < -10) {
-                this.scene.remove(fruit);
+    cleanupFruitHalves() {
+        this.fruitHalves = this.fruitHalves.filter(half => {
+            if (half.position.y < -10) {
+                this.disposeObject(half);
                 return false;
             }
             return true;
         });
+    }
 
-        // 清理炸弹
-        this.bombs = this.bombs.filter(bomb => {
-            if (bomb.position.y < -10) {
-                this.scene.remove(bomb);
-                return false;
-            }
-            return true;
-        });
+    /**
+     * 从场景移除物体并释放其几何体和材质（每个水果、炸弹、半块都独占自己的几何体和材质）
+     */
+    disposeObject(object) {
+        this.scene.remove(object);
+        object.geometry.dispose();
+
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        materials.forEach(material => material.dispose());
+    }
+
+    /**
+     * 移除并释放所有水果、炸弹和半块的网格
+     */
+    clearObjects() {
+        this.objectMeshes.forEach(mesh => this.disposeObject(mesh));
+        this.fruitHalves.forEach(half => this.disposeObject(half));
+
+        this.objectMeshes.clear();
+        this.fruitHalves = [];
+        this.particleSystem.clear();
     }
 
     /**
@@ -686,6 +617,35 @@ export class GameScene {
         this.camera.updateProjectionMatrix();
 
         this.renderer.setSize(width, height);
+        if (this.postProcessing) {
+            this.postProcessing.setSize();
+        }
+
+        if (!this.viewSizeOverride) {
+            this.view.setSize(width, height);
+        }
+    }
+
+    /**
+     * 碰撞检测使用的画布尺寸（像素）
+     * @returns {{ width: number, height: number }}
+     */
+    getViewSize() {
+        return { width: this.view.width, height: this.view.height };
+    }
+
+    /**
+     * 固定碰撞检测使用的画布尺寸，回放录像时使用录制时的尺寸，保证结果一致
+     * 传入 null 恢复为跟随画布大小
+     * @param {{ width: number, height: number }|null} size
+     */
+    setViewSize(size) {
+        this.viewSizeOverride = size;
+        const { width, height } = size || {
+            width: this.container.clientWidth,
+            height: this.container.clientHeight
+        };
+        this.view.setSize(width, height);
     }
 
     /**
@@ -693,34 +653,64 @@ export class GameScene {
      */
     reset() {
         // 清理所有对象
-        this.fruits.forEach(fruit => this.scene.remove(fruit));
-        this.bombs.forEach(bomb => this.scene.remove(bomb));
-        this.particles.forEach(particle => this.scene.remove(particle));
+        this.clearObjects();
+        this.lowTimeWarning = false;
+        if (this.postProcessing) {
+            this.postProcessing.reset();
+        }
 
-        this.fruits = [];
-        this.bombs = [];
-        this.particles = [];
+        // 模拟核心重置后处于暂停状态，等待开始按钮
+        this.simulation.reset();
+    }
 
-        this.gameTime = 0;
-        this.difficulty = 1.0;
-        this.spawnRate = 0.4;
-        this.spawnInterval = 2.5;
-        this.fruitSpeed = 5.0;
-        this.lastSpawnTime = 0;
-        this.isPaused = true; // 重置时暂停，等待开始按钮
+    /**
+     * 设置生成种子
+     * 传入 null 恢复为每局随机种子；新种子在下一次 reset() 时生效
+     */
+    setSeed(seed) {
+        this.simulation.setSeed(seed);
+    }
+
+    /**
+     * 获取本局使用的种子
+     */
+    getSeed() {
+        return this.simulation.getSeed();
     }
 
     /**
      * 暂停/继续
      */
     setPaused(paused) {
-        this.isPaused = paused;
-        if (paused) {
-            this.clock.stop();
-        } else {
-            this.clock.start();
-            // 重置生成时间，防止暂停后立即生成
-            this.lastSpawnTime = this.gameTime;
+        this.simulation.setPaused(paused);
+    }
+
+    /**
+     * 销毁场景：移除监听，释放所有几何体、材质、渲染目标和渲染器
+     * 调用后实例不可再使用
+     */
+    dispose() {
+        window.removeEventListener('resize', this.handleResize);
+
+        this.clearObjects();
+        this.particleSystem.dispose();
+        if (this.postProcessing) {
+            this.postProcessing.dispose();
+            this.postProcessing = null;
         }
+
+        this.scene.traverse(object => {
+            if (object.isLight && object.dispose) {
+                object.dispose();
+            }
+        });
+        this.scene.clear();
+        this.renderer.dispose();
+
+        this.cuttingPaths = [];
+        this.simulation.reset();
+        this.onFruitCut = null;
+        this.onBombCut = null;
+        this.onFruitMissed = null;
     }
 }
@@ -0,0 +1,120 @@
+import { DEFAULT_HAND_FILTER, HAND_FILTER_LIMITS, FILTERED_HANDS } from '../config/handFilter.js';
+
+// 滑块的显示名称
+const PARAMETER_LABELS = {
+    minCutoff: 'Min cutoff (Hz)',
+    beta: 'Beta',
+    dCutoff: 'Speed cutoff (Hz)',
+    predictionMs: 'Prediction (ms)'
+};
+
+/**
+ * 手势平滑调试面板
+ * 调试模式（D 键）下显示，用滑块实时调整每只手的 One Euro 滤波参数和预测时间
+ */
+export class HandFilterPanel {
+    /**
+     * @param {object} options
+     * @param {() => {left: object, right: object}} options.getSettings - 读取当前参数
+     * @param {(hand: string, params: object) => void} options.onChange - 某只手的参数被修改
+     */
+    constructor({ getSettings, onChange }) {
+        this.getSettings = getSettings;
+        this.onChange = onChange;
+        this.displayElement = null;
+        this.listenerController = null;
+    }
+
+    /**
+     * 显示或隐藏面板
+     */
+    setVisible(visible) {
+        if (visible) {
+            this.createDisplay();
+        } else {
+            this.dispose();
+        }
+    }
+
+    createDisplay() {
+        if (this.displayElement) return;
+
+        this.listenerController = new AbortController();
+        const { signal } = this.listenerController;
+
+        this.displayElement = document.createElement('div');
+        this.displayElement.style.cssText = `
+            position: fixed;
+            top: 120px;
+            right: 20px;
+            background: rgba(0, 0, 0, 0.8);
+            color: #00ff00;
+            font-family: monospace;
+            font-size: 12px;
+            padding: 10px;
+            border-radius: 5px;
+            z-index: 1000;
+            min-width: 220px;
+        `;
+
+        const settings = this.getSettings();
+        this.displayElement.innerHTML = `
+            <div style="color: #ffff00; font-weight: bold;">✋ Hand Smoothing</div>
+            ${FILTERED_HANDS.map(hand => `
+                <div style="color: #ffff00; margin-top: 6px;">${hand === 'left' ? 'Left' : 'Right'} hand</div>
+                ${Object.entries(HAND_FILTER_LIMITS).map(([key, { min, max, step }]) => `
+                    <label style="display: block; margin-top: 4px;">
+                        ${PARAMETER_LABELS[key]}: <span data-value="${hand}.${key}">${settings[hand][key]}</span>
+                        <input type="range" data-hand="${hand}" data-key="${key}"
+                            min="${min}" max="${max}" step="${step}" value="${settings[hand][key]}"
+                            style="display: block; width: 100%;">
+                    </label>
+                `).join('')}
+            `).join('')}
+            <button type="button" data-action="reset" style="margin-top: 8px;">Reset to defaults</button>
+        `;
+
+        this.displayElement.querySelectorAll('input[type="range"]').forEach(input => {
+            input.addEventListener('input', () => {
+                const { hand, key } = input.dataset;
+                this.onChange(hand, { [key]: Number(input.value) });
+                this.updateValues();
+            }, { signal });
+        });
+
+        this.displayElement.querySelector('[data-action="reset"]').addEventListener('click', () => {
+            FILTERED_HANDS.forEach(hand => this.onChange(hand, { ...DEFAULT_HAND_FILTER }));
+            this.updateValues();
+        }, { signal });
+
+        document.body.appendChild(this.displayElement);
+    }
+
+    /**
+     * 用当前参数刷新滑块和数值
+     */
+    updateValues() {
+        if (!this.displayElement) return;
+
+        const settings = this.getSettings();
+        this.displayElement.querySelectorAll('input[type="range"]').forEach(input => {
+            const { hand, key } = input.dataset;
+            input.value = settings[hand][key];
+            this.displayElement.querySelector(`[data-value="${hand}.${key}"]`).textContent = settings[hand][key];
+        });
+    }
+
+    /**
+     * 移除面板
+     */
+    dispose() {
+        if (this.listenerController) {
+            this.listenerController.abort();
+            this.listenerController = null;
+        }
+        if (this.displayElement) {
+            this.displayElement.remove();
+            this.displayElement = null;
+        }
+    }
+}
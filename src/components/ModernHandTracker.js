@@ -3,12 +3,42 @@
  * Uses @mediapipe/tasks-vision for better reliability on Aliyun ESA
  */
 import { HandLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
+import { getMediapipeSources, getMediapipeSettings } from '../config/mediapipe.js';
+import { DEFAULT_CAMERA_SETTINGS, buildVideoConstraints } from '../config/camera.js';
+import { fetchWithProgress } from '../utils/fetchWithProgress.js';
+import { OneEuroFilter } from '../utils/OneEuroFilter.js';
+import { DEFAULT_HAND_FILTER, FILTERED_HANDS, normalizeHandFilter } from '../config/handFilter.js';
 
 export class ModernHandTracker {
     constructor() {
         this.handLandmarker = null;
+        this.videoElement = null;
+        this.stream = null;
         this.isInitialized = false;
+        this.isDisposed = false;
         this.lastError = null;
+
+        // Self-hosted runtime and model (see config/mediapipe.js); the model is kept across camera retries
+        this.assetSources = getMediapipeSources(getMediapipeSettings(import.meta.env));
+        this.modelBuffers = new Map();
+
+        // Loading progress: ({ stage: 'runtime' | 'model' | 'ready', source, loaded?, total? }) => void
+        this.onLoadProgress = null;
+
+        // Camera choice (config/camera.js); activeDeviceId is the camera actually in use
+        this.cameraSettings = { ...DEFAULT_CAMERA_SETTINGS };
+        this.activeDeviceId = null;
+
+        // Called when the camera track ends on its own (unplugged, revoked, taken by another app)
+        this.onCameraEnded = null;
+        this.handleTrackEnded = () => {
+            console.warn('🤖 ModernHandTracker: camera track ended');
+            this.stop();
+            this.lastError = 'Camera disconnected.';
+            if (this.onCameraEnded) {
+                this.onCameraEnded();
+            }
+        };
         this.detectionIntervalMs = 16; // 提高到~60fps检测，原来是33ms(30fps)
         this.lastDetectionTime = 0;
         
@@ -24,12 +54,13 @@ export class ModernHandTracker {
             right: []
         };
         
-        // 手势预测和平滑
-        this.handHistory = {
-            left: [],
-            right: []
-        };
-        this.historyLength = 5; // 保存最近3帧用于平滑
+        // 手势平滑（One Euro 滤波）和延迟补偿预测，每只手单独设置（见 config/handFilter.js）
+        this.filterSettings = {};
+        this.positionFilters = {};
+        FILTERED_HANDS.forEach(hand => {
+            this.filterSettings[hand] = { ...DEFAULT_HAND_FILTER };
+            this.positionFilters[hand] = new OneEuroFilter(DEFAULT_HAND_FILTER);
+        });
         
         this.maxTrailLength = 20; // 增加拖影长度，提高切割成功率
         this.trailRetentionTime = 250; // 适当增加拖影时间，平衡精确度和成功率
@@ -41,6 +72,9 @@ export class ModernHandTracker {
     async initialize(videoElement) {
         console.log('🤖 ModernHandTracker: Starting initialization...');
         
+        // Release anything left over from a previous attempt (e.g. camera retry)
+        this.stop();
+
         try {
             // Check secure context
             if (!window.isSecureContext && location.hostname !== 'localhost') {
@@ -48,44 +82,23 @@ export class ModernHandTracker {
             }
 
             // Initialize MediaPipe
-            console.log('🤖 Loading MediaPipe FilesetResolver...');
-            const vision = await FilesetResolver.forVisionTasks(
-                'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm'
-            );
+            this.handLandmarker = await this.createHandLandmarker();
 
-            console.log('🤖 Creating HandLandmarker...');
-            this.handLandmarker = await HandLandmarker.createFromOptions(vision, {
-                baseOptions: {
-                    modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
-                    delegate: "GPU"
-                },
-                runningMode: "VIDEO",
-                numHands: 2,
-                minHandDetectionConfidence: 0.3, // 降低从0.5到0.3，提高检测敏感度
-                minHandPresenceConfidence: 0.3,  // 降低从0.5到0.3，提高检测敏感度
-                minTrackingConfidence: 0.3       // 降低从0.5到0.3，提高跟踪敏感度
-            });
+            // Disposed while the model was loading
+            if (this.isDisposed) {
+                this.stop();
+                return false;
+            }
 
             // Setup camera
-            console.log('🤖 Setting up camera...');
-            const stream = await navigator.mediaDevices.getUserMedia({
-                video: {
-                    width: { ideal: 1280, min: 640 },
-                    height: { ideal: 720, min: 480 },
-                    facingMode: 'user'
-                }
-            });
+            await this.startCamera(videoElement);
 
-            videoElement.srcObject = stream;
-            videoElement.setAttribute('playsinline', 'true');
-            
-            await new Promise((resolve) => {
-                videoElement.onloadedmetadata = resolve;
-                setTimeout(resolve, 2000); // Timeout fallback
-            });
+            // Disposed while waiting for camera permission
+            if (this.isDisposed) {
+                this.stop();
+                return false;
+            }
 
-            await videoElement.play();
-            
             this.isInitialized = true;
             console.log('🤖 ModernHandTracker: Initialization complete!');
             return true;
@@ -98,6 +111,213 @@ export class ModernHandTracker {
         }
     }
 
+    /**
+     * Open the chosen camera and attach it to the video element
+     * A remembered device that is gone (unplugged, new device id) falls back to the default camera.
+     */
+    async startCamera(videoElement) {
+        console.log('🤖 Setting up camera...', this.cameraSettings);
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ video: buildVideoConstraints(this.cameraSettings) });
+        } catch (error) {
+            const deviceMissing = error.name === 'OverconstrainedError' || error.name === 'NotFoundError';
+            if (!this.cameraSettings.deviceId || !deviceMissing) {
+                throw error;
+            }
+            console.warn('🤖 Chosen camera unavailable, using the default camera:', error.name);
+            stream = await navigator.mediaDevices.getUserMedia({
+                video: buildVideoConstraints({ ...this.cameraSettings, deviceId: null })
+            });
+        }
+
+        // Disposed while waiting for camera permission
+        if (this.isDisposed) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+
+        this.videoElement = videoElement;
+        this.stream = stream;
+        const [track] = stream.getVideoTracks();
+        this.activeDeviceId = track ? track.getSettings().deviceId || null : null;
+        stream.getVideoTracks().forEach(track => track.addEventListener('ended', this.handleTrackEnded));
+        videoElement.srcObject = stream;
+        videoElement.setAttribute('playsinline', 'true');
+
+        await new Promise((resolve) => {
+            videoElement.onloadedmetadata = resolve;
+            setTimeout(resolve, 2000); // Timeout fallback
+        });
+
+        await videoElement.play();
+    }
+
+    /**
+     * Stop the camera stream and detach it from the video element (the model stays loaded)
+     */
+    stopCamera() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => {
+                track.removeEventListener('ended', this.handleTrackEnded);
+                track.stop();
+            });
+            this.stream = null;
+        }
+
+        if (this.videoElement) {
+            this.videoElement.onloadedmetadata = null;
+            this.videoElement.pause();
+            this.videoElement.srcObject = null;
+        }
+    }
+
+    /**
+     * Choose the camera and resolution
+     * Before initialize() this only stores the choice; afterwards the stream is reopened
+     * without reloading the model. If the new camera can't be opened the previous one is restored.
+     * @param {{ deviceId?: string|null, resolution?: string }} settings
+     * @returns {Promise<boolean>} false when the new camera could not be opened
+     */
+    async setCamera(settings) {
+        const previous = this.cameraSettings;
+        this.cameraSettings = { ...previous, ...settings };
+
+        if (!this.isInitialized || !this.videoElement) {
+            return true;
+        }
+
+        const videoElement = this.videoElement;
+        this.stopCamera();
+        this.clearTracking();
+
+        try {
+            await this.startCamera(videoElement);
+            return true;
+        } catch (error) {
+            console.warn('🤖 Camera switch failed, restoring the previous camera:', error);
+            this.lastError = this.formatError(error);
+            this.cameraSettings = previous;
+            try {
+                await this.startCamera(videoElement);
+            } catch (restoreError) {
+                console.error('🤖 Previous camera could not be restored:', restoreError);
+                this.handleTrackEnded();
+            }
+            return false;
+        }
+    }
+
+    /**
+     * List the video input devices (labels are only filled in after camera permission is granted)
+     * @returns {Promise<Array<{ deviceId: string, label: string }>>}
+     */
+    async listCameras() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
+        }
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput' && device.deviceId)
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || `Camera ${index + 1}`
+            }));
+    }
+
+    /**
+     * Forget detected hands and trails (e.g. after switching cameras)
+     */
+    clearTracking() {
+        this.hands = { left: null, right: null };
+        this.trails = { left: [], right: [] };
+        Object.values(this.positionFilters).forEach(filter => filter.reset());
+    }
+
+    /**
+     * Update the smoothing and prediction parameters of one or both hands (takes effect immediately)
+     * @param {{left?: object, right?: object}} settings - e.g. { right: { beta: 0.05 } }
+     */
+    setFilterSettings(settings) {
+        FILTERED_HANDS.forEach(hand => {
+            if (!settings[hand]) return;
+
+            this.filterSettings[hand] = normalizeHandFilter({ ...this.filterSettings[hand], ...settings[hand] });
+            this.positionFilters[hand].setParameters(this.filterSettings[hand]);
+        });
+    }
+
+    /**
+     * Current smoothing and prediction parameters of both hands
+     */
+    getFilterSettings() {
+        return {
+            left: { ...this.filterSettings.left },
+            right: { ...this.filterSettings.right }
+        };
+    }
+
+    /**
+     * Load the WASM runtime and hand model, trying each configured source in turn
+     * (self-hosted first; the CDN only when the fallback is enabled)
+     */
+    async createHandLandmarker() {
+        const failures = [];
+
+        for (const source of this.assetSources) {
+            try {
+                console.log(`🤖 Loading MediaPipe from ${source.name}: ${source.wasmUrl}`);
+                this.reportLoadProgress({ stage: 'runtime', source: source.name });
+                const vision = await FilesetResolver.forVisionTasks(source.wasmUrl);
+
+                const modelAssetBuffer = await this.loadModel(source);
+
+                console.log('🤖 Creating HandLandmarker...');
+                const handLandmarker = await HandLandmarker.createFromOptions(vision, {
+                    baseOptions: {
+                        modelAssetBuffer,
+                        delegate: "GPU"
+                    },
+                    runningMode: "VIDEO",
+                    numHands: 2,
+                    minHandDetectionConfidence: 0.3, // 降低从0.5到0.3，提高检测敏感度
+                    minHandPresenceConfidence: 0.3,  // 降低从0.5到0.3，提高检测敏感度
+                    minTrackingConfidence: 0.3       // 降低从0.5到0.3，提高跟踪敏感度
+                });
+
+                this.reportLoadProgress({ stage: 'ready', source: source.name });
+                return handLandmarker;
+            } catch (error) {
+                console.warn(`🤖 MediaPipe assets from ${source.name} failed:`, error);
+                failures.push(`${source.name}: ${error.message}`);
+            }
+        }
+
+        throw new Error(`MediaPipe model could not be loaded (${failures.join('; ')})`);
+    }
+
+    /**
+     * Download the hand model with progress (cached per URL)
+     */
+    async loadModel(source) {
+        if (!this.modelBuffers.has(source.modelUrl)) {
+            const buffer = await fetchWithProgress(source.modelUrl, {
+                onProgress: ({ loaded, total }) => {
+                    this.reportLoadProgress({ stage: 'model', source: source.name, loaded, total });
+                }
+            });
+            this.modelBuffers.set(source.modelUrl, buffer);
+        }
+        return this.modelBuffers.get(source.modelUrl);
+    }
+
+    reportLoadProgress(progress) {
+        if (this.onLoadProgress) {
+            this.onLoadProgress(progress);
+        }
+    }
+
     /**
      * Format error messages for better user experience
      */
@@ -111,7 +331,7 @@ export class ModernHandTracker {
         } else if (error.message.includes('HTTPS')) {
             return 'HTTPS required for camera access.';
         } else if (error.message.includes('MediaPipe') || error.message.includes('model')) {
-            return 'MediaPipe model loading failed. Check network connection.';
+            return 'MediaPipe model loading failed. The hand tracking files could not be downloaded.';
         }
         return error.message || 'Unknown camera error';
     }
@@ -123,6 +343,18 @@ export class ModernHandTracker {
         this.detectionIntervalMs = intervalMs;
     }
 
+    /**
+     * Set how many points each hand trail keeps
+     */
+    setMaxTrailLength(length) {
+        this.maxTrailLength = length;
+        ['left', 'right'].forEach(hand => {
+            if (this.trails[hand].length > length) {
+                this.trails[hand].splice(0, this.trails[hand].length - length);
+            }
+        });
+    }
+
     /**
      * Detect hands with throttling
      */
@@ -145,7 +377,7 @@ export class ModernHandTracker {
             }
 
             const results = this.handLandmarker.detectForVideo(videoElement, currentTime);
-            this.processResults(results);
+            this.processResults(results, currentTime);
             return this.getLastResults();
 
         } catch (error) {
@@ -156,13 +388,15 @@ export class ModernHandTracker {
 
     /**
      * Process MediaPipe results
+     * @param {number} currentTime - detection time (performance.now()), used by the position filters
      */
-    processResults(results) {
+    processResults(results, currentTime) {
         // Reset hands
         this.hands.left = null;
         this.hands.right = null;
 
         if (!results.landmarks || results.landmarks.length === 0) {
+            this.resetMissingFilters();
             this.updateTrails();
             return;
         }
@@ -194,10 +428,11 @@ export class ModernHandTracker {
             let screenX = cuttingPosition.x * canvas.clientWidth;
             let screenY = cuttingPosition.y * canvas.clientHeight;
 
-            // 手势平滑处理，减少抖动，提高识别稳定性
+            // 手势平滑处理：慢速时去抖动，快速划动时几乎无延迟；可选沿速度方向预测
             const smoothedPosition = this.smoothHandPosition(
-                { x: screenX, y: screenY }, 
-                handLabel
+                { x: screenX, y: screenY },
+                handLabel,
+                currentTime
             );
             screenX = smoothedPosition.x;
             screenY = smoothedPosition.y;
@@ -223,44 +458,32 @@ export class ModernHandTracker {
             }
         });
 
+        this.resetMissingFilters();
         this.updateTrails();
     }
 
     /**
-     * 手势位置平滑处理，减少抖动
+     * 看不到的手重新出现时不从旧位置开始平滑
      */
-    smoothHandPosition(currentPos, handLabel) {
-        const history = this.handHistory[handLabel];
-        
-        // 添加当前位置到历史记录
-        history.push(currentPos);
-        
-        // 保持历史记录长度
-        if (history.length > this.historyLength) {
-            history.shift();
-        }
-        
-        // 如果历史记录不足，直接返回当前位置
-        if (history.length < 2) {
+    resetMissingFilters() {
+        FILTERED_HANDS.forEach(hand => {
+            if (!this.hands[hand]) {
+                this.positionFilters[hand].reset();
+            }
+        });
+    }
+
+    /**
+     * 手势位置平滑处理（One Euro 滤波），并按 predictionMs 沿速度方向外推以补偿检测延迟
+     */
+    smoothHandPosition(currentPos, handLabel, currentTime) {
+        const filter = this.positionFilters[handLabel];
+        if (!filter) {
             return currentPos;
         }
-        
-        // 计算加权平均，最新的位置权重更大
-        let totalWeight = 0;
-        let smoothedX = 0;
-        let smoothedY = 0;
-        
-        for (let i = 0; i < history.length; i++) {
-            const weight = (i + 1) / history.length; // 权重递增
-            smoothedX += history[i].x * weight;
-            smoothedY += history[i].y * weight;
-            totalWeight += weight;
-        }
-        
-        return {
-            x: smoothedX / totalWeight,
-            y: smoothedY / totalWeight
-        };
+
+        filter.filter(currentPos, currentTime);
+        return filter.predict(this.filterSettings[handLabel].predictionMs);
     }
 
     /**
@@ -348,20 +571,21 @@ export class ModernHandTracker {
 
     /**
      * Get cutting paths for game collision detection
+     * Points keep their capture timestamps so the game can gate cuts by blade speed
      */
     getCuttingPaths() {
         const paths = [];
 
         if (this.trails.left.length >= 2) {
             paths.push({
-                points: this.trails.left.map(p => ({ x: p.x, y: p.y })),
+                points: this.trails.left.map(p => ({ x: p.x, y: p.y, timestamp: p.timestamp })),
                 hand: 'left'
             });
         }
 
         if (this.trails.right.length >= 2) {
             paths.push({
-                points: this.trails.right.map(p => ({ x: p.x, y: p.y })),
+                points: this.trails.right.map(p => ({ x: p.x, y: p.y, timestamp: p.timestamp })),
                 hand: 'right'
             });
         }
@@ -399,13 +623,21 @@ export class ModernHandTracker {
             this.handLandmarker = null;
         }
 
-        const videoElement = document.getElementById('video-input');
-        if (videoElement && videoElement.srcObject) {
-            const tracks = videoElement.srcObject.getTracks();
-            tracks.forEach(track => track.stop());
-            videoElement.srcObject = null;
-        }
+        this.stopCamera();
+        this.videoElement = null;
+        this.activeDeviceId = null;
 
         this.isInitialized = false;
     }
+
+    /**
+     * Release the model, camera tracks and all tracking state.
+     * Safe to call while initialize() is still pending; the instance can't be reused afterwards.
+     */
+    dispose() {
+        this.isDisposed = true;
+        this.onCameraEnded = null;
+        this.stop();
+        this.clearTracking();
+    }
 }
\ No newline at end of file
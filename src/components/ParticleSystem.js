@@ -0,0 +1,225 @@
+import * as THREE from 'three';
+
+/**
+ * 粒子系统
+ * 基于 InstancedMesh 的对象池：所有粒子共用一个几何体和一个材质，一次绘制调用完成渲染，
+ * 不再为每个粒子创建网格。支持重力、淡出和逐粒子颜色。
+ *
+ * 粒子预算：burstSize 为每次爆炸的粒子数（来自性能预设的 particleCount），
+ * 池容量为 burstSize × MAX_CONCURRENT_BURSTS，池满时新粒子直接丢弃。
+ */
+
+const MAX_CONCURRENT_BURSTS = 12;
+
+export class ParticleSystem {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {object} [options]
+     * @param {number} [options.burstSize=25] - 每次爆炸的粒子数
+     * @param {number} [options.capacity] - 池容量，默认 burstSize × MAX_CONCURRENT_BURSTS
+     */
+    constructor(scene, { burstSize = 25, capacity } = {}) {
+        this.scene = scene;
+        this.burstSize = burstSize;
+        this.capacity = capacity || burstSize * MAX_CONCURRENT_BURSTS;
+
+        // 粒子数据（紧凑排列：前 aliveCount 个为存活粒子）
+        this.aliveCount = 0;
+        this.positions = new Float32Array(this.capacity * 3);
+        this.velocities = new Float32Array(this.capacity * 3);
+        this.colors = new Float32Array(this.capacity * 3);
+        this.sizes = new Float32Array(this.capacity);
+        this.life = new Float32Array(this.capacity);
+        this.maxLife = new Float32Array(this.capacity);
+        this.gravity = new Float32Array(this.capacity);
+
+        this.createMesh();
+    }
+
+    /**
+     * 创建共享的实例化网格
+     */
+    createMesh() {
+        this.geometry = new THREE.SphereGeometry(1, 8, 8);
+        this.alphaAttribute = new THREE.InstancedBufferAttribute(new Float32Array(this.capacity), 1);
+        this.alphaAttribute.setUsage(THREE.DynamicDrawUsage);
+        this.geometry.setAttribute('instanceAlpha', this.alphaAttribute);
+
+        this.material = new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            depthWrite: false
+        });
+
+        // 逐实例透明度：MeshBasicMaterial 不支持，注入一个 instanceAlpha 属性
+        this.material.onBeforeCompile = (shader) => {
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', '#include <common>\nattribute float instanceAlpha;\nvarying float vInstanceAlpha;')
+                .replace('#include <begin_vertex>', '#include <begin_vertex>\nvInstanceAlpha = instanceAlpha;');
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', '#include <common>\nvarying float vInstanceAlpha;')
+                .replace('#include <color_fragment>', '#include <color_fragment>\ndiffuseColor.a *= vInstanceAlpha;');
+        };
+
+        this.mesh = new THREE.InstancedMesh(this.geometry, this.material, this.capacity);
+        this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.mesh.instanceColor = new THREE.InstancedBufferAttribute(this.colors, 3);
+        this.mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+        this.mesh.count = 0;
+        this.mesh.frustumCulled = false;
+
+        this.scene.add(this.mesh);
+    }
+
+    /**
+     * 发射一组粒子
+     * @param {THREE.Vector3} position - 发射中心
+     * @param {object} options
+     * @param {number} [options.count] - 粒子数，默认 burstSize
+     * @param {THREE.Color|number} options.color - 粒子颜色
+     * @param {number} [options.speed=2] - 最小速度
+     * @param {number} [options.speedVariance=3] - 速度随机增量
+     * @param {number} [options.size=0.05] - 粒子半径
+     * @param {number} [options.life=1.0] - 存活时间（秒）
+     * @param {number} [options.gravity=0] - 重力加速度
+     */
+    emit(position, {
+        count = this.burstSize,
+        color,
+        speed = 2,
+        speedVariance = 3,
+        size = 0.05,
+        life = 1.0,
+        gravity = 0
+    }) {
+        const particleColor = color instanceof THREE.Color ? color : new THREE.Color(color);
+
+        for (let i = 0; i < count; i++) {
+            if (this.aliveCount >= this.capacity) return;
+
+            const index = this.aliveCount++;
+            const angle = (Math.PI * 2 * i) / count;
+            const particleSpeed = speed + Math.random() * speedVariance;
+
+            this.positions[index * 3] = position.x;
+            this.positions[index * 3 + 1] = position.y;
+            this.positions[index * 3 + 2] = position.z;
+
+            this.velocities[index * 3] = Math.cos(angle) * particleSpeed;
+            this.velocities[index * 3 + 1] = Math.sin(angle) * particleSpeed + Math.random() * 2;
+            this.velocities[index * 3 + 2] = (Math.random() - 0.5) * particleSpeed;
+
+            this.colors[index * 3] = particleColor.r;
+            this.colors[index * 3 + 1] = particleColor.g;
+            this.colors[index * 3 + 2] = particleColor.b;
+
+            this.sizes[index] = size;
+            this.life[index] = life;
+            this.maxLife[index] = life;
+            this.gravity[index] = gravity;
+        }
+    }
+
+    /**
+     * 更新粒子并写入实例缓冲
+     * 死亡粒子用最后一个存活粒子填补（倒序遍历，遍历中移除是安全的）
+     */
+    update(deltaTime) {
+        for (let i = this.aliveCount - 1; i >= 0; i--) {
+            this.life[i] -= deltaTime;
+
+            if (this.life[i] <= 0) {
+                this.removeAt(i);
+                continue;
+            }
+
+            this.velocities[i * 3 + 1] -= this.gravity[i] * deltaTime;
+            this.positions[i * 3] += this.velocities[i * 3] * deltaTime;
+            this.positions[i * 3 + 1] += this.velocities[i * 3 + 1] * deltaTime;
+            this.positions[i * 3 + 2] += this.velocities[i * 3 + 2] * deltaTime;
+        }
+
+        this.writeInstances();
+    }
+
+    /**
+     * 移除第 index 个粒子：把最后一个存活粒子移到该位置
+     */
+    removeAt(index) {
+        const last = --this.aliveCount;
+        if (index === last) return;
+
+        for (let k = 0; k < 3; k++) {
+            this.positions[index * 3 + k] = this.positions[last * 3 + k];
+            this.velocities[index * 3 + k] = this.velocities[last * 3 + k];
+            this.colors[index * 3 + k] = this.colors[last * 3 + k];
+        }
+        this.sizes[index] = this.sizes[last];
+        this.life[index] = this.life[last];
+        this.maxLife[index] = this.maxLife[last];
+        this.gravity[index] = this.gravity[last];
+    }
+
+    /**
+     * 把存活粒子写入实例矩阵和透明度
+     */
+    writeInstances() {
+        const matrices = this.mesh.instanceMatrix.array;
+        const alphas = this.alphaAttribute.array;
+
+        for (let i = 0; i < this.aliveCount; i++) {
+            const size = this.sizes[i];
+            const offset = i * 16;
+
+            // 均匀缩放 + 平移
+            matrices[offset] = size;
+            matrices[offset + 1] = 0;
+            matrices[offset + 2] = 0;
+            matrices[offset + 3] = 0;
+            matrices[offset + 4] = 0;
+            matrices[offset + 5] = size;
+            matrices[offset + 6] = 0;
+            matrices[offset + 7] = 0;
+            matrices[offset + 8] = 0;
+            matrices[offset + 9] = 0;
+            matrices[offset + 10] = size;
+            matrices[offset + 11] = 0;
+            matrices[offset + 12] = this.positions[i * 3];
+            matrices[offset + 13] = this.positions[i * 3 + 1];
+            matrices[offset + 14] = this.positions[i * 3 + 2];
+            matrices[offset + 15] = 1;
+
+            alphas[i] = this.life[i] / this.maxLife[i];
+        }
+
+        this.mesh.count = this.aliveCount;
+        this.mesh.instanceMatrix.needsUpdate = true;
+        this.mesh.instanceColor.needsUpdate = true;
+        this.alphaAttribute.needsUpdate = true;
+    }
+
+    /**
+     * 设置每次爆炸的粒子数（不超过池容量）
+     */
+    setBurstSize(burstSize) {
+        this.burstSize = Math.max(1, Math.min(burstSize, this.capacity));
+    }
+
+    /**
+     * 清除所有粒子
+     */
+    clear() {
+        this.aliveCount = 0;
+        this.mesh.count = 0;
+    }
+
+    /**
+     * 释放 GPU 资源
+     */
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.geometry.dispose();
+        this.material.dispose();
+        this.mesh.dispose();
+    }
+}
@@ -0,0 +1,180 @@
+import * as THREE from 'three';
+import {
+    EffectComposer,
+    RenderPass,
+    EffectPass,
+    Effect,
+    BloomEffect,
+    ChromaticAberrationEffect,
+    BlendFunction
+} from 'postprocessing';
+
+/**
+ * 后期处理管线
+ * 基于 postprocessing 的 EffectComposer：辉光（水果高光和粒子）、炸弹命中时的色差 + 闪光、
+ * 最后 10 秒的暗角。
+ *
+ * 画布是透明的（下面是摄像头画面），所以所有效果都按预乘透明度输出：
+ * 闪光和暗角在透明区域同时提高 alpha，保证它们叠在摄像头画面上也可见。
+ */
+
+// 炸弹命中效果持续时间（秒）
+const BOMB_HIT_DURATION = 0.35;
+// 暗角淡入/淡出速度（每秒）
+const VIGNETTE_FADE_SPEED = 2.0;
+
+// 闪光：按预乘透明度把 flashColor 叠加到画面上
+const FLASH_FRAGMENT = `
+uniform vec3 flashColor;
+uniform float strength;
+
+void mainImage(const in vec4 inputColor, const in vec2 uv, out vec4 outputColor) {
+    outputColor = inputColor * (1.0 - strength) + vec4(flashColor * strength, strength);
+}
+`;
+
+// 暗角：边缘压暗，透明区域叠加黑色（预乘下黑色只需提高 alpha）
+const VIGNETTE_FRAGMENT = `
+uniform float strength;
+
+void mainImage(const in vec4 inputColor, const in vec2 uv, out vec4 outputColor) {
+    float d = distance(uv, vec2(0.5)) * 1.414;
+    float shade = smoothstep(0.45, 1.0, d) * strength;
+    outputColor = vec4(inputColor.rgb * (1.0 - shade), inputColor.a + (1.0 - inputColor.a) * shade);
+}
+`;
+
+class FlashEffect extends Effect {
+    constructor(color = 0xffffff) {
+        super('FlashEffect', FLASH_FRAGMENT, {
+            blendFunction: BlendFunction.SRC,
+            uniforms: new Map([
+                ['flashColor', new THREE.Uniform(new THREE.Color(color))],
+                ['strength', new THREE.Uniform(0)]
+            ])
+        });
+    }
+
+    set strength(value) {
+        this.uniforms.get('strength').value = value;
+    }
+}
+
+class EdgeVignetteEffect extends Effect {
+    constructor() {
+        super('EdgeVignetteEffect', VIGNETTE_FRAGMENT, {
+            blendFunction: BlendFunction.SRC,
+            uniforms: new Map([
+                ['strength', new THREE.Uniform(0)]
+            ])
+        });
+    }
+
+    set strength(value) {
+        this.uniforms.get('strength').value = value;
+    }
+}
+
+export class PostProcessing {
+    /**
+     * @param {THREE.WebGLRenderer} renderer - 需使用 alpha: true 创建
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera
+     */
+    constructor(renderer, scene, camera) {
+        this.renderer = renderer;
+
+        // 渲染目标不走画布自带的抗锯齿，改用多重采样
+        this.composer = new EffectComposer(renderer, {
+            multisampling: Math.min(4, renderer.capabilities.maxSamples)
+        });
+
+        this.bloom = new BloomEffect({
+            luminanceThreshold: 0.6,
+            luminanceSmoothing: 0.2,
+            intensity: 0.9,
+            mipmapBlur: true
+        });
+        this.chromaticAberration = new ChromaticAberrationEffect({
+            offset: new THREE.Vector2(0, 0),
+            radialModulation: true
+        });
+        this.flash = new FlashEffect(0xffffff);
+        this.vignette = new EdgeVignetteEffect();
+
+        this.composer.addPass(new RenderPass(scene, camera));
+        // 色差直接采样输入缓冲，需放在其他效果之前
+        this.composer.addPass(new EffectPass(camera, this.chromaticAberration, this.bloom, this.flash, this.vignette));
+
+        this.bombHitTime = 0;
+        this.vignetteTarget = 0;
+        this.vignetteStrength = 0;
+    }
+
+    /**
+     * 渲染一帧
+     * @param {number} deltaTime - 距上一帧的时间（秒），用于效果的淡入淡出
+     */
+    render(deltaTime) {
+        this.updateEffects(deltaTime);
+        this.composer.render(deltaTime);
+    }
+
+    /**
+     * 推进炸弹命中脉冲和暗角过渡
+     */
+    updateEffects(deltaTime) {
+        if (this.bombHitTime > 0) {
+            this.bombHitTime = Math.max(0, this.bombHitTime - deltaTime);
+        }
+        const pulse = this.bombHitTime / BOMB_HIT_DURATION;
+        this.flash.strength = pulse * 0.6;
+        this.chromaticAberration.offset.set(0.012 * pulse, 0.006 * pulse);
+
+        const step = VIGNETTE_FADE_SPEED * deltaTime;
+        if (this.vignetteStrength < this.vignetteTarget) {
+            this.vignetteStrength = Math.min(this.vignetteTarget, this.vignetteStrength + step);
+        } else {
+            this.vignetteStrength = Math.max(this.vignetteTarget, this.vignetteStrength - step);
+        }
+        this.vignette.strength = this.vignetteStrength;
+    }
+
+    /**
+     * 触发炸弹命中的闪光和色差
+     */
+    triggerBombHit() {
+        this.bombHitTime = BOMB_HIT_DURATION;
+    }
+
+    /**
+     * 开启/关闭暗角（最后 10 秒）
+     */
+    setVignetteActive(active) {
+        this.vignetteTarget = active ? 0.85 : 0;
+    }
+
+    /**
+     * 清除所有进行中的效果
+     */
+    reset() {
+        this.bombHitTime = 0;
+        this.vignetteTarget = 0;
+        this.vignetteStrength = 0;
+        this.updateEffects(0);
+    }
+
+    /**
+     * 同步渲染器尺寸和像素比
+     */
+    setSize() {
+        this.composer.setSize();
+    }
+
+    /**
+     * 释放渲染目标和着色器
+     */
+    dispose() {
+        this.composer.dispose();
+    }
+}
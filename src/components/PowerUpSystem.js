@@ -0,0 +1,116 @@
+/**
+ * 道具效果系统
+ * 管理特殊水果触发的限时效果（冰冻、狂热、双倍得分）
+ * 剩余时间由游戏循环驱动：暂停时不流逝，重置或结束时通过 clear() 全部结束
+ */
+
+// 效果定义：持续时间（秒）与 HUD 显示文字
+export const POWER_UPS = {
+    freeze: {
+        duration: 5,
+        label: '❄️ FREEZE'
+    },
+    frenzy: {
+        duration: 4,
+        label: '🍉 FRENZY'
+    },
+    double: {
+        duration: 8,
+        label: '✖️2 DOUBLE'
+    }
+};
+
+export class PowerUpSystem {
+    constructor() {
+        // 当前生效的效果 { [type]: remainingSeconds }
+        this.active = {};
+
+        // 回调函数
+        this.onActivate = null; // (type, duration) 效果开始
+        this.onExpire = null;   // (type) 效果结束
+        this.onChange = null;   // (activeList) 剩余时间变化，用于刷新 HUD
+    }
+
+    /**
+     * 激活效果；效果已生效时重置为完整时长
+     */
+    activate(type) {
+        const powerUp = POWER_UPS[type];
+        if (!powerUp) return;
+
+        const wasActive = this.isActive(type);
+        this.active[type] = powerUp.duration;
+
+        if (!wasActive && this.onActivate) {
+            this.onActivate(type, powerUp.duration);
+        }
+
+        this.notifyChange();
+    }
+
+    /**
+     * 推进效果时间
+     */
+    update(deltaTime) {
+        const types = Object.keys(this.active);
+        if (types.length === 0) return;
+
+        types.forEach(type => {
+            this.active[type] -= deltaTime;
+            if (this.active[type] <= 0) {
+                this.expire(type);
+            }
+        });
+
+        this.notifyChange();
+    }
+
+    /**
+     * 结束某个效果
+     */
+    expire(type) {
+        if (!this.isActive(type)) return;
+
+        delete this.active[type];
+
+        if (this.onExpire) {
+            this.onExpire(type);
+        }
+    }
+
+    /**
+     * 结束全部效果（重置或游戏结束时调用）
+     */
+    clear() {
+        Object.keys(this.active).forEach(type => this.expire(type));
+        this.notifyChange();
+    }
+
+    /**
+     * 效果是否生效中
+     */
+    isActive(type) {
+        return this.active[type] !== undefined;
+    }
+
+    /**
+     * 获取生效中的效果列表
+     */
+    getActive() {
+        return Object.keys(this.active).map(type => ({
+            type: type,
+            label: POWER_UPS[type].label,
+            remaining: this.active[type],
+            duration: POWER_UPS[type].duration
+        }));
+    }
+
+    /**
+     * 通知剩余时间变化
+     */
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this.getActive());
+        }
+    }
+}
@@ -1,35 +1,61 @@
+import { getFruitDefinition } from '../config/fruits.js';
+import { getRuleset } from '../config/rulesets.js';
+
 /**
  * 计分系统
- * 管理游戏分数、时间、难度等
+ * 管理游戏分数、时间、生命等
+ * 计分与结束条件由规则集决定（见 config/rulesets.js）
  */
 export class ScoreSystem {
-    constructor() {
+    constructor(ruleset = getRuleset()) {
+        this.ruleset = ruleset;
         this.score = 0;
-        this.gameTime = 60; // 游戏时长（秒）
-        this.timeRemaining = 60;
+        this.timeRemaining = ruleset.timeLimit;
+        this.lives = ruleset.lives;
         this.isGameOver = false;
         
-        // 计分规则
-        this.rules = {
-            fruitCut: 10,      // 切割水果得分
-            bombCut: -20       // 切割炸弹扣分
-        };
+        // 得分倍率（双倍得分道具）
+        this.scoreMultiplier = 1;
+        
+        // 连击状态：按手分组 { [hand]: { count, lastCutTime, position } }
+        this.elapsedTime = 0;
+        this.combos = {};
+        this.bestCombo = 0;
         
         // 回调函数
         this.onScoreChange = null;
         this.onTimeChange = null;
+        this.onLivesChange = null;
+        this.onCombo = null;
         this.onGameOver = null;
     }
     
+    /**
+     * 切换规则集，在下一次 start()/reset() 时生效
+     */
+    setRuleset(ruleset) {
+        this.ruleset = ruleset;
+    }
+    
+    /**
+     * 是否限时
+     */
+    isTimed() {
+        return this.ruleset.timeLimit !== null;
+    }
+    
+    /**
+     * 是否使用生命
+     */
+    hasLives() {
+        return this.ruleset.lives !== null;
+    }
+    
     /**
      * 初始化游戏
      */
     start() {
-        this.score = 0;
-        this.timeRemaining = this.gameTime;
-        this.isGameOver = false;
-        this.notifyScoreChange();
-        this.notifyTimeChange();
+        this.reset();
     }
     
     /**
@@ -38,11 +64,16 @@ export class ScoreSystem {
     update(deltaTime) {
         if (this.isGameOver) return;
         
+        this.elapsedTime += deltaTime;
+        this.updateCombos();
+        
+        if (!this.isTimed()) return;
+        
         this.timeRemaining -= deltaTime;
         
         if (this.timeRemaining <= 0) {
             this.timeRemaining = 0;
-            this.endGame();
+            this.endGame('time');
         }
         
         this.notifyTimeChange();
@@ -50,46 +81,157 @@ export class ScoreSystem {
     
     /**
      * 切割水果得分
+     * 分值由水果配置表决定
+     * @param {string} fruitType
+     * @param {{hand?: string, screenPosition?: {x, y}}} [cutInfo] - 切割的手和位置，用于连击判定
      */
-    cutFruit(fruitType) {
+    cutFruit(fruitType, cutInfo = {}) {
         if (this.isGameOver) return;
         
-        this.score += this.rules.fruitCut;
+        this.score += getFruitDefinition(fruitType).points * this.scoreMultiplier;
+        this.registerComboCut(cutInfo.hand || 'unknown', cutInfo.screenPosition || null);
         this.notifyScoreChange();
-        
-        // 检查游戏结束条件（分数低于0）
-        if (this.score < 0) {
-            this.endGame();
-        }
+        this.checkNegativeScore();
     }
     
     /**
-     * 切割炸弹扣分
+     * 切割炸弹
      */
     cutBomb() {
         if (this.isGameOver) return;
         
-        this.score += this.rules.bombCut;
+        this.score += this.ruleset.bombPoints;
+        this.notifyScoreChange();
+        
+        if (this.ruleset.bombEndsGame) {
+            this.endGame('bomb');
+            return;
+        }
+        
+        this.checkNegativeScore();
+    }
+    
+    /**
+     * 设置得分倍率（作用于水果得分和连击奖励）
+     */
+    setScoreMultiplier(multiplier) {
+        this.scoreMultiplier = multiplier;
+    }
+    
+    /**
+     * 漏掉水果（水果掉出屏幕未被切到）
+     */
+    missFruit(fruitType) {
+        if (this.isGameOver || !this.ruleset.missCostsLife || !this.hasLives()) return;
+        
+        // 漏掉特殊水果不扣生命
+        if (getFruitDefinition(fruitType).powerUp) return;
+        
+        this.lives = Math.max(0, this.lives - 1);
+        this.notifyLivesChange();
+        
+        if (this.lives === 0) {
+            this.endGame('lives');
+        }
+    }
+    
+    /**
+     * 检查游戏结束条件（分数低于0）
+     */
+    checkNegativeScore() {
+        if (this.ruleset.endOnNegativeScore && this.score < 0) {
+            this.endGame('score');
+        }
+    }
+    
+    /**
+     * 记录一次切割到该手的连击中
+     * 距上次切割超过 comboWindow 时，先结算旧连击再开始新连击
+     */
+    registerComboCut(hand, position) {
+        const combo = this.combos[hand];
+        
+        if (combo && this.elapsedTime - combo.lastCutTime <= this.ruleset.combo.window) {
+            combo.count++;
+            combo.lastCutTime = this.elapsedTime;
+            combo.position = position;
+            return;
+        }
+        
+        if (combo) {
+            this.finishCombo(hand);
+        }
+        
+        this.combos[hand] = {
+            count: 1,
+            lastCutTime: this.elapsedTime,
+            position: position
+        };
+    }
+    
+    /**
+     * 结算已超出时间窗口的连击
+     */
+    updateCombos() {
+        Object.keys(this.combos).forEach(hand => {
+            if (this.elapsedTime - this.combos[hand].lastCutTime > this.ruleset.combo.window) {
+                this.finishCombo(hand);
+            }
+        });
+    }
+    
+    /**
+     * 结算某只手的连击，达到最少数量时发放奖励
+     */
+    finishCombo(hand) {
+        const combo = this.combos[hand];
+        delete this.combos[hand];
+        
+        if (!combo || combo.count < this.ruleset.combo.minFruits) return;
+        
+        const bonus = combo.count * this.ruleset.combo.bonusPerFruit * this.scoreMultiplier;
+        this.score += bonus;
+        this.bestCombo = Math.max(this.bestCombo, combo.count);
         this.notifyScoreChange();
         
-        // 检查游戏结束条件（分数低于0）
-        if (this.score < 0) {
-            this.endGame();
+        if (this.onCombo) {
+            this.onCombo({
+                hand: hand,
+                count: combo.count,
+                bonus: bonus,
+                position: combo.position
+            });
         }
     }
     
+    /**
+     * 清空连击状态
+     */
+    resetCombos() {
+        this.elapsedTime = 0;
+        this.combos = {};
+        this.bestCombo = 0;
+    }
+    
     /**
      * 结束游戏
+     * @param {string} reason - 结束原因：time / score / bomb / lives
      */
-    endGame() {
+    endGame(reason) {
         if (this.isGameOver) return;
         
+        // 先结算进行中的连击，避免最后一刀的奖励丢失
+        Object.keys(this.combos).forEach(hand => this.finishCombo(hand));
+        
         this.isGameOver = true;
         
         if (this.onGameOver) {
             this.onGameOver({
                 score: this.score,
-                timeRemaining: this.timeRemaining
+                timeRemaining: this.timeRemaining,
+                lives: this.lives,
+                bestCombo: this.bestCombo,
+                reason: reason
             });
         }
     }
@@ -99,10 +241,14 @@ export class ScoreSystem {
      */
     reset() {
         this.score = 0;
-        this.timeRemaining = this.gameTime;
+        this.timeRemaining = this.ruleset.timeLimit;
+        this.lives = this.ruleset.lives;
         this.isGameOver = false;
+        this.scoreMultiplier = 1;
+        this.resetCombos();
         this.notifyScoreChange();
         this.notifyTimeChange();
+        this.notifyLivesChange();
     }
     
     /**
@@ -118,11 +264,20 @@ export class ScoreSystem {
      * 通知时间变化
      */
     notifyTimeChange() {
-        if (this.onTimeChange) {
+        if (this.onTimeChange && this.isTimed()) {
             this.onTimeChange(this.timeRemaining);
         }
     }
     
+    /**
+     * 通知生命变化
+     */
+    notifyLivesChange() {
+        if (this.onLivesChange && this.hasLives()) {
+            this.onLivesChange(this.lives);
+        }
+    }
+    
     /**
      * 获取当前分数
      */
@@ -131,7 +286,14 @@ export class ScoreSystem {
     }
     
     /**
-     * 获取剩余时间
+     * 获取剩余生命（不使用生命时为 null）
+     */
+    getLives() {
+        return this.lives;
+    }
+    
+    /**
+     * 获取剩余时间（不限时为 null）
      */
     getTimeRemaining() {
         return this.timeRemaining;
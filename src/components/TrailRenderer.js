@@ -16,9 +16,24 @@ export class TrailRenderer {
         this.colors = {
             left: '#00FFFF',   // Neon Blue
             right: '#00FF00',  // Neon Green
-            mouse: '#FF1493'   // Hot Pink
+            mouse: '#FF1493',  // Hot Pink
+            pen: '#FFD700',    // Gold
+            ghost: '#FFFFFF'   // Ghost race / previous best run
         };
         
+        // One color per finger ('touch-0', 'touch-1', ...), repeating after the last
+        this.touchColors = [
+            '#FF1493', // Hot Pink
+            '#FF8C00', // Neon Orange
+            '#BF00FF', // Electric Purple
+            '#FFFF00', // Neon Yellow
+            '#FF3131', // Neon Red
+            '#1F51FF'  // Neon Indigo
+        ];
+        
+        // Opacity of ghost trails drawn over the live ones
+        this.ghostOpacity = 0.35;
+        
         // Debug mode for position alignment
         this.debugMode = false;
         
@@ -32,8 +47,9 @@ export class TrailRenderer {
         // Set canvas size to match client size
         this.resizeCanvas();
         
-        // Listen for window resize
-        window.addEventListener('resize', () => this.resizeCanvas());
+        // Listen for window resize (keep the handler so dispose() can remove it)
+        this.handleResize = () => this.resizeCanvas();
+        window.addEventListener('resize', this.handleResize);
     }
     
     /**
@@ -61,39 +77,60 @@ export class TrailRenderer {
     }
     
     /**
-     * Draw hand trails with fluorescent effects
+     * Trail color for a stroke name ('left', 'right', 'mouse', 'pen', 'touch-N', ...)
      */
-    drawTrails(trails) {
-        this.clear();
-        
-        // Draw left hand trail
-        if (trails.left && trails.left.length > 1) {
-            this.drawTrail(trails.left, this.colors.left, 'left');
-        }
-        
-        // Draw right hand trail
-        if (trails.right && trails.right.length > 1) {
-            this.drawTrail(trails.right, this.colors.right, 'right');
+    getColor(hand) {
+        const touch = /^touch-(\d+)$/.exec(hand || '');
+        if (touch) {
+            return this.touchColors[Number(touch[1]) % this.touchColors.length];
         }
+        return this.colors[hand] || this.colors.mouse;
+    }
+    
+    /**
+     * Draw the merged input strokes ({ hand, source, points, width }) from every input source
+     */
+    drawStrokes(strokes) {
+        this.drawPaths(strokes);
         
-        // Debug mode: draw current hand positions as circles
+        // Debug mode: draw current input positions as circles
         if (this.debugMode) {
-            this.drawDebugPositions(trails);
+            this.drawDebugPositions(strokes);
         }
     }
     
     /**
-     * Draw debug circles at current hand positions
+     * Draw cutting paths ({ hand, points, width }) as trails, e.g. from a replay
+     * @param {Array} paths - Cutting paths in recorded canvas coordinates
+     * @param {object} [options]
+     * @param {number} [options.scale=1] - Factor from recorded to current canvas coordinates
+     * @param {number} [options.offsetX=0] - Horizontal shift applied after scaling
+     * @param {boolean} [options.ghost=false] - Draw faded in the ghost color, on top of what is already drawn
      */
-    drawDebugPositions(trails) {
+    drawPaths(paths, { scale = 1, offsetX = 0, ghost = false } = {}) {
+        if (!ghost) {
+            this.clear();
+        }
+        
+        paths.forEach(path => {
+            const trail = path.points.map(point => ({ x: point.x * scale + offsetX, y: point.y * scale }));
+            const color = ghost ? this.colors.ghost : this.getColor(path.hand);
+            
+            this.drawTrail(trail, color, path.hand, ghost ? this.ghostOpacity : 1, path.width || 1);
+        });
+    }
+    
+    /**
+     * Draw debug circles at current input positions
+     */
+    drawDebugPositions(strokes) {
         this.ctx.save();
         
         // Draw current positions as circles
-        ['left', 'right'].forEach(hand => {
-            const trail = trails[hand];
-            if (trail && trail.length > 0) {
-                const currentPos = trail[trail.length - 1];
-                const color = this.colors[hand];
+        strokes.forEach(({ hand, points }) => {
+            if (points.length > 0) {
+                const currentPos = points[points.length - 1];
+                const color = this.getColor(hand);
                 
                 // Draw a bright circle at current position
                 this.ctx.strokeStyle = color;
@@ -134,14 +171,16 @@ export class TrailRenderer {
     
     /**
      * Draw a single trail with fluorescent glow effect
+     * @param {number} [opacity=1] - Overall opacity multiplier
+     * @param {number} [widthScale=1] - Blade width multiplier (touch pressure / contact size)
      */
-    drawTrail(trail, color, hand) {
+    drawTrail(trail, color, hand, opacity = 1, widthScale = 1) {
         if (trail.length < 2) return;
         
         this.ctx.save();
         
         // Set up glow effect
-        this.ctx.shadowBlur = 20;
+        this.ctx.shadowBlur = 20 * widthScale;
         this.ctx.shadowColor = color;
         this.ctx.lineCap = 'round';
         this.ctx.lineJoin = 'round';
@@ -155,7 +194,7 @@ export class TrailRenderer {
         
         layers.forEach(layer => {
             this.ctx.strokeStyle = color;
-            this.ctx.lineWidth = layer.width;
+            this.ctx.lineWidth = layer.width * widthScale;
             this.ctx.globalAlpha = layer.alpha;
             
             this.ctx.beginPath();
@@ -163,7 +202,7 @@ export class TrailRenderer {
             // Draw trail with fade effect
             trail.forEach((point, index) => {
                 const progress = index / (trail.length - 1);
-                const fadeAlpha = progress * layer.alpha;
+                const fadeAlpha = progress * layer.alpha * opacity;
                 
                 this.ctx.globalAlpha = fadeAlpha;
                 
@@ -206,7 +245,7 @@ export class TrailRenderer {
         paths.forEach(path => {
             if (path.points.length < 2) return;
             
-            const color = this.colors[path.hand] || this.colors.mouse;
+            const color = this.getColor(path.hand);
             
             this.ctx.strokeStyle = color;
             this.ctx.lineWidth = 2;
@@ -299,6 +338,7 @@ export class TrailRenderer {
      * Cleanup resources
      */
     dispose() {
-        window.removeEventListener('resize', () => this.resizeCanvas());
+        window.removeEventListener('resize', this.handleResize);
+        this.clear();
     }
 }
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * Camera Settings
+ * Resolutions offered by the camera picker, getUserMedia constraints for a chosen
+ * device and resolution, and the choice remembered between visits (localStorage).
+ */
+
+export const CAMERA_RESOLUTIONS = [
+    { id: '480p', label: '640 × 480', width: 640, height: 480 },
+    { id: '720p', label: '1280 × 720', width: 1280, height: 720 },
+    { id: '1080p', label: '1920 × 1080', width: 1920, height: 1080 }
+];
+
+export const DEFAULT_CAMERA_SETTINGS = {
+    deviceId: null,   // null: let the browser pick the front-facing camera
+    resolution: '720p'
+};
+
+const STORAGE_KEY = 'fruit-ninja-camera';
+
+/**
+ * Look up a resolution by id, falling back to the default
+ */
+export function getCameraResolution(id) {
+    return CAMERA_RESOLUTIONS.find(resolution => resolution.id === id) ||
+        CAMERA_RESOLUTIONS.find(resolution => resolution.id === DEFAULT_CAMERA_SETTINGS.resolution);
+}
+
+/**
+ * getUserMedia video constraints for the chosen camera
+ * A chosen device is required exactly; without one the front-facing camera is preferred.
+ * @param {{ deviceId: string|null, resolution: string }} settings
+ */
+export function buildVideoConstraints({ deviceId, resolution }) {
+    const { width, height } = getCameraResolution(resolution);
+    const constraints = {
+        width: { ideal: width, min: 640 },
+        height: { ideal: height, min: 480 }
+    };
+
+    if (deviceId) {
+        constraints.deviceId = { exact: deviceId };
+    } else {
+        constraints.facingMode = 'user';
+    }
+
+    return constraints;
+}
+
+/**
+ * Read the remembered camera choice; unknown or unreadable values give the defaults
+ * @param {Storage} [storage=globalThis.localStorage]
+ */
+export function loadCameraSettings(storage = globalThis.localStorage) {
+    try {
+        const saved = JSON.parse(storage.getItem(STORAGE_KEY)) || {};
+        return {
+            deviceId: typeof saved.deviceId === 'string' && saved.deviceId ? saved.deviceId : null,
+            resolution: getCameraResolution(saved.resolution).id
+        };
+    } catch {
+        return { ...DEFAULT_CAMERA_SETTINGS };
+    }
+}
+
+/**
+ * Remember the camera choice (ignored when storage is unavailable, e.g. private browsing)
+ * @param {{ deviceId: string|null, resolution: string }} settings
+ * @param {Storage} [storage=globalThis.localStorage]
+ */
+export function saveCameraSettings({ deviceId, resolution }, storage = globalThis.localStorage) {
+    try {
+        storage.setItem(STORAGE_KEY, JSON.stringify({ deviceId, resolution }));
+    } catch (error) {
+        console.warn('Could not save camera settings:', error.message);
+    }
+}
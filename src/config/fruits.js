@@ -0,0 +1,113 @@
+/**
+ * Fruit Catalog
+ * Single registry for every fruit: geometry, material (skin and flesh color),
+ * collision radius, spawn weight, point value and optional power-up. GameScene and ScoreSystem both read from here,
+ * so adding a fruit only means adding an entry below.
+ */
+
+export const FRUIT_CATALOG = {
+    apple: {
+        // 水果放大2倍，使特征更明显（原0.3）
+        geometry: { type: 'sphere', radius: 0.6, segments: 32 },
+        material: { color: 0xFF0000, shininess: 100, fleshColor: 0xFFF5D6 },
+        radius: 0.6,
+        spawnWeight: 1,
+        points: 10
+    },
+    watermelon: {
+        geometry: { type: 'sphere', radius: 0.8, segments: 32 },
+        material: { color: 0x90EE90, shininess: 100, fleshColor: 0xFF3B4A },
+        radius: 0.8,
+        spawnWeight: 1,
+        points: 10
+    },
+    orange: {
+        geometry: { type: 'sphere', radius: 0.5, segments: 32 },
+        material: { color: 0xFFA500, shininess: 100, fleshColor: 0xFFB347 },
+        radius: 0.5,
+        spawnWeight: 1,
+        points: 15 // 体积最小，较难切中
+    },
+    banana: {
+        geometry: { type: 'cone', radius: 0.4, height: 1.2, segments: 16 },
+        material: { color: 0xFFFF00, shininess: 100, fleshColor: 0xFFF8C4 },
+        radius: 0.6, // 锥体长轴的一半
+        spawnWeight: 1,
+        points: 15 // 细长，较难切中
+    },
+    pineapple: {
+        geometry: { type: 'cylinder', radiusTop: 0.5, radiusBottom: 0.6, height: 1.0, segments: 16 },
+        material: { color: 0xFFD700, shininess: 100, fleshColor: 0xFFE970 },
+        radius: 0.65,
+        spawnWeight: 1,
+        points: 10
+    },
+
+    // 特殊水果：切中后触发限时效果（见 components/PowerUpSystem.js），漏掉不扣生命
+    freezeFruit: {
+        geometry: { type: 'sphere', radius: 0.55, segments: 32 },
+        material: { color: 0x7FDBFF, shininess: 150, emissive: 0x1E6FA8, fleshColor: 0xE0F7FF },
+        radius: 0.55,
+        spawnWeight: 0.12,
+        points: 10,
+        powerUp: 'freeze'
+    },
+    frenzyFruit: {
+        geometry: { type: 'sphere', radius: 0.55, segments: 32 },
+        material: { color: 0xFF4FD8, shininess: 150, emissive: 0x8A1070, fleshColor: 0xFFD6F5 },
+        radius: 0.55,
+        spawnWeight: 0.12,
+        points: 10,
+        powerUp: 'frenzy'
+    },
+    doubleFruit: {
+        geometry: { type: 'sphere', radius: 0.55, segments: 32 },
+        material: { color: 0xFFC400, shininess: 150, emissive: 0x8A5A00, fleshColor: 0xFFF3C4 },
+        radius: 0.55,
+        spawnWeight: 0.12,
+        points: 10,
+        powerUp: 'double'
+    }
+};
+
+const DEFAULT_FRUIT = 'apple';
+
+/**
+ * Get all registered fruit type ids
+ */
+export function getFruitTypes() {
+    return Object.keys(FRUIT_CATALOG);
+}
+
+/**
+ * Get a fruit definition, falling back to the default fruit for unknown ids
+ */
+export function getFruitDefinition(fruitType) {
+    return FRUIT_CATALOG[fruitType] || FRUIT_CATALOG[DEFAULT_FRUIT];
+}
+
+/**
+ * Pick a fruit type by spawn weight
+ * @param {{ next: () => number }} random - random source (e.g. SeededRandom)
+ * @param {{ includePowerUps?: boolean, types?: string[] }} [options] - set includePowerUps to false to pick plain fruits only;
+ *        types limits the pick to the listed fruits (e.g. from a wave file)
+ */
+export function pickFruitType(random, { includePowerUps = true, types: allowedTypes = null } = {}) {
+    const types = (allowedTypes || getFruitTypes())
+        .filter(type => FRUIT_CATALOG[type] && (includePowerUps || !FRUIT_CATALOG[type].powerUp));
+    if (types.length === 0) {
+        return DEFAULT_FRUIT;
+    }
+
+    const totalWeight = types.reduce((sum, type) => sum + FRUIT_CATALOG[type].spawnWeight, 0);
+
+    let roll = random.next() * totalWeight;
+    for (const type of types) {
+        roll -= FRUIT_CATALOG[type].spawnWeight;
+        if (roll < 0) {
+            return type;
+        }
+    }
+
+    return types[types.length - 1];
+}
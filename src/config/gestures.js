@@ -0,0 +1,86 @@
+/**
+ * Hand Gesture Commands
+ * Recognition thresholds for the gesture classifier (src/input/GestureClassifier.js)
+ * and the mapping from gestures to game commands, per game screen.
+ * The mapping can be overridden per browser in localStorage (see README).
+ */
+
+export const GESTURES = ['open_palm', 'fist', 'pinch', 'point', 'thumbs_up'];
+
+// 命令：pause 暂停、resume 继续、confirm 确认当前界面（开始 / 返回菜单 / 继续）、restart 立即开始新的一局
+export const GESTURE_ACTIONS = ['pause', 'resume', 'confirm', 'restart'];
+
+export const GESTURE_SETTINGS = {
+    enterConfidence: 0.7, // 置信度达到该值才开始识别为某个手势
+    exitConfidence: 0.4,  // 已识别的手势置信度低于该值才结束（滞回，避免边界抖动）
+    holdMs: 400,          // 手势需保持的时间（毫秒）才触发命令
+    holdMsByGesture: {
+        open_palm: 800    // 张开手掌也是切水果的姿势，需要更久地停住才暂停
+    },
+    maxHoldMovement: 0.5  // 保持期间手腕最多移动的距离（以手掌长度为单位），移动更多则重新计时
+};
+
+// 每个界面的手势 → 命令
+export const DEFAULT_GESTURE_BINDINGS = {
+    playing: { open_palm: 'pause' },
+    paused: { fist: 'resume', pinch: 'confirm' },
+    idle: { pinch: 'confirm', thumbs_up: 'confirm' },
+    gameover: { pinch: 'confirm', thumbs_up: 'restart' }
+};
+
+// 倒计时中的界面与对应的菜单使用同一组映射
+const SCREEN_OF_STATE = {
+    starting: 'idle',
+    restarting: 'gameover'
+};
+
+const STORAGE_KEY = 'fruit-ninja-gestures';
+
+/**
+ * Command bound to a gesture on the current screen, or null
+ * @param {object} bindings - screen -> { gesture: action }
+ * @param {string} gameState
+ * @param {string} gesture
+ */
+export function getGestureAction(bindings, gameState, gesture) {
+    const screen = bindings[SCREEN_OF_STATE[gameState] || gameState];
+    return (screen && screen[gesture]) || null;
+}
+
+/**
+ * Merge overrides into the default bindings
+ * Per screen, overrides replace the defaults; unknown screens, gestures and actions are ignored,
+ * and an action of null unbinds the gesture.
+ * @param {object} overrides - e.g. { playing: { open_palm: null, fist: 'pause' } }
+ */
+export function resolveGestureBindings(overrides) {
+    const bindings = {};
+    Object.entries(DEFAULT_GESTURE_BINDINGS).forEach(([screen, defaults]) => {
+        bindings[screen] = { ...defaults };
+
+        const screenOverrides = overrides && overrides[screen];
+        if (!screenOverrides || typeof screenOverrides !== 'object') return;
+
+        Object.entries(screenOverrides).forEach(([gesture, action]) => {
+            if (!GESTURES.includes(gesture)) return;
+            if (action === null) {
+                delete bindings[screen][gesture];
+            } else if (GESTURE_ACTIONS.includes(action)) {
+                bindings[screen][gesture] = action;
+            }
+        });
+    });
+    return bindings;
+}
+
+/**
+ * Read the gesture mapping, with any overrides saved in storage; unreadable values give the defaults
+ * @param {Storage} [storage=globalThis.localStorage]
+ */
+export function loadGestureBindings(storage = globalThis.localStorage) {
+    try {
+        return resolveGestureBindings(JSON.parse(storage.getItem(STORAGE_KEY)));
+    } catch {
+        return resolveGestureBindings(null);
+    }
+}
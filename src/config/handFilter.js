@@ -0,0 +1,73 @@
+/**
+ * Hand Position Filter Settings
+ * One Euro filter parameters and latency-compensating prediction for each hand
+ * (utils/OneEuroFilter.js), tunable live from the debug overlay (D key) and
+ * remembered between visits (localStorage).
+ */
+
+export const DEFAULT_HAND_FILTER = {
+    minCutoff: 1.0,  // Hz at rest: lower removes more jitter from a slow hand
+    beta: 0.02,      // per px/s of speed: higher removes more lag from a fast slash
+    dCutoff: 1.0,    // Hz for the speed estimate
+    predictionMs: 0  // extrapolate this far along the hand's velocity (0: off)
+};
+
+// Slider ranges in the debug overlay; loaded values are clamped to them
+export const HAND_FILTER_LIMITS = {
+    minCutoff: { min: 0.1, max: 10, step: 0.1 },
+    beta: { min: 0, max: 0.1, step: 0.001 },
+    dCutoff: { min: 0.1, max: 10, step: 0.1 },
+    predictionMs: { min: 0, max: 60, step: 1 }
+};
+
+export const FILTERED_HANDS = ['left', 'right'];
+
+const STORAGE_KEY = 'fruit-ninja-hand-filter';
+
+/**
+ * Complete parameters for one hand: missing or invalid values use the defaults, the rest are clamped
+ * @param {object} [params]
+ */
+export function normalizeHandFilter(params = {}) {
+    const normalized = {};
+    Object.entries(HAND_FILTER_LIMITS).forEach(([key, { min, max }]) => {
+        const value = params && params[key];
+        normalized[key] = typeof value === 'number' && Number.isFinite(value)
+            ? Math.min(max, Math.max(min, value))
+            : DEFAULT_HAND_FILTER[key];
+    });
+    return normalized;
+}
+
+/**
+ * Read the tuned parameters for both hands; unreadable values give the defaults
+ * @param {Storage} [storage=globalThis.localStorage]
+ * @returns {{left: object, right: object}}
+ */
+export function loadHandFilterSettings(storage = globalThis.localStorage) {
+    let saved = {};
+    try {
+        saved = JSON.parse(storage.getItem(STORAGE_KEY)) || {};
+    } catch {
+        saved = {};
+    }
+
+    const settings = {};
+    FILTERED_HANDS.forEach(hand => {
+        settings[hand] = normalizeHandFilter(saved[hand]);
+    });
+    return settings;
+}
+
+/**
+ * Remember the tuned parameters (ignored when storage is unavailable, e.g. private browsing)
+ * @param {{left: object, right: object}} settings
+ * @param {Storage} [storage=globalThis.localStorage]
+ */
+export function saveHandFilterSettings(settings, storage = globalThis.localStorage) {
+    try {
+        storage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('Could not save hand filter settings:', error.message);
+    }
+}
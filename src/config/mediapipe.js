@@ -0,0 +1,68 @@
+/**
+ * MediaPipe Assets
+ * Where ModernHandTracker loads the tasks-vision WASM runtime and the hand landmarker model from.
+ *
+ * Both are self-hosted: scripts/fetch-mediapipe-assets.js copies the WASM of the installed
+ * (pinned) @mediapipe/tasks-vision package and downloads the pinned model into public/mediapipe/,
+ * which Vite ships with the build. Kiosks and networks without access to Google or jsDelivr
+ * therefore never leave the game's own origin.
+ *
+ * Build-time settings (Vite env, e.g. .env.local):
+ * - VITE_MEDIAPIPE_ASSET_BASE   - base URL of the assets, for a mirror or a separate asset host
+ *                                 (default: <vite base>/mediapipe/)
+ * - VITE_MEDIAPIPE_CDN_FALLBACK - "true" to retry from jsDelivr / Google Storage when the
+ *                                 self-hosted assets fail to load (off by default)
+ */
+
+// Must match the exact version of @mediapipe/tasks-vision in package.json (checked by the fetch script and tests)
+export const MEDIAPIPE_VERSION = '0.10.35';
+
+// Hand landmarker model: float16, version 1
+export const HAND_MODEL_PATH = 'models/hand_landmarker/float16/1/hand_landmarker.task';
+
+// SHA-256 of that model file; the fetch script rejects downloaded or hand-copied files that differ
+export const HAND_MODEL_SHA256 = 'fbc2a30080c3c557093b5ddfc334698132eb341044ccee322ccf8bcf3607cde1';
+
+// Public CDN locations, used only when the fallback is enabled
+export const CDN_WASM_URL = `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${MEDIAPIPE_VERSION}/wasm`;
+export const CDN_MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task';
+
+/**
+ * Path of the WASM runtime relative to the asset base (versioned, so an upgrade never reuses a cached runtime)
+ */
+export function getWasmPath(version = MEDIAPIPE_VERSION) {
+    return `wasm/${version}`;
+}
+
+/**
+ * Asset sources to try in order
+ * @param {object} [options]
+ * @param {string} [options.baseUrl='/mediapipe/'] - base URL of the self-hosted assets
+ * @param {boolean} [options.cdnFallback=false] - append the public CDN as a second source
+ * @returns {Array<{ name: string, wasmUrl: string, modelUrl: string }>}
+ */
+export function getMediapipeSources({ baseUrl = '/mediapipe/', cdnFallback = false } = {}) {
+    const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+    const sources = [{
+        name: 'self-hosted',
+        wasmUrl: `${base}${getWasmPath()}`,
+        modelUrl: `${base}${HAND_MODEL_PATH}`
+    }];
+
+    if (cdnFallback) {
+        sources.push({ name: 'cdn', wasmUrl: CDN_WASM_URL, modelUrl: CDN_MODEL_URL });
+    }
+
+    return sources;
+}
+
+/**
+ * Read the asset settings from the Vite env
+ * @param {object} env - import.meta.env
+ */
+export function getMediapipeSettings(env = {}) {
+    return {
+        baseUrl: env.VITE_MEDIAPIPE_ASSET_BASE || `${env.BASE_URL || '/'}mediapipe/`,
+        cdnFallback: env.VITE_MEDIAPIPE_CDN_FALLBACK === 'true'
+    };
+}
@@ -18,7 +18,8 @@ const PERFORMANCE_PRESETS = {
         targetFps: 30,
         enablePostProcessing: false,
         fruitSpawnRate: 0.3,
-        maxTrailLength: 15 // 低端设备适中的拖影
+        maxTrailLength: 15, // 低端设备适中的拖影
+        pixelRatio: 1
     },
     [DEVICE_CAPABILITY.MEDIUM]: {
         gestureDetectionFps: 45, // 提高中端设备检测频率，从30提升到45
@@ -26,7 +27,8 @@ const PERFORMANCE_PRESETS = {
         targetFps: 60,
         enablePostProcessing: true,
         fruitSpawnRate: 0.4,
-        maxTrailLength: 20 // 中端设备更长的拖影
+        maxTrailLength: 20, // 中端设备更长的拖影
+        pixelRatio: 1.5
     },
     [DEVICE_CAPABILITY.HIGH]: {
         gestureDetectionFps: 60, // 保持高端设备60fps检测
@@ -34,10 +36,33 @@ const PERFORMANCE_PRESETS = {
         targetFps: 60,
         enablePostProcessing: true,
         fruitSpawnRate: 0.5,
-        maxTrailLength: 25 // 高端设备最长拖影，确保高成功率
+        maxTrailLength: 25, // 高端设备最长拖影，确保高成功率
+        pixelRatio: 2
     }
 };
 
+// Runtime quality ladder used by AdaptiveQualityController, lowest first.
+// Only the fields that can change mid-game; the top three mirror the presets.
+const QUALITY_LEVELS = [
+    {
+        name: 'minimal',
+        pixelRatio: 0.75,
+        particleCount: 8,
+        gestureDetectionFps: 20,
+        enablePostProcessing: false
+    },
+    ...[DEVICE_CAPABILITY.LOW, DEVICE_CAPABILITY.MEDIUM, DEVICE_CAPABILITY.HIGH].map(capability => {
+        const preset = PERFORMANCE_PRESETS[capability];
+        return {
+            name: capability,
+            pixelRatio: preset.pixelRatio,
+            particleCount: preset.particleCount,
+            gestureDetectionFps: preset.gestureDetectionFps,
+            enablePostProcessing: preset.enablePostProcessing
+        };
+    })
+];
+
 /**
  * Detect device capability based on hardware and browser
  */
@@ -139,6 +164,10 @@ export class PerformanceMonitor {
         this.lastFpsUpdate = 0;
         this.isVisible = false;
         this.displayElement = null;
+        
+        // Recent quality changes shown in the overlay
+        this.logEntries = [];
+        this.maxLogEntries = 5;
     }
     
     startFrame() {
@@ -175,6 +204,23 @@ export class PerformanceMonitor {
         this.metrics.renderTime = time;
     }
     
+    /**
+     * Add a message to the overlay log (e.g. adaptive quality changes)
+     */
+    log(message) {
+        const time = new Date().toLocaleTimeString();
+        this.logEntries.push(`[${time}] ${message}`);
+        if (this.logEntries.length > this.maxLogEntries) {
+            this.logEntries.shift();
+        }
+        
+        console.log('[Performance]', message);
+        
+        if (this.isVisible) {
+            this.updateDisplay();
+        }
+    }
+    
     toggle() {
         this.isVisible = !this.isVisible;
         
@@ -186,6 +232,17 @@ export class PerformanceMonitor {
         }
     }
     
+    /**
+     * Remove the overlay
+     */
+    dispose() {
+        this.isVisible = false;
+        if (this.displayElement) {
+            this.displayElement.remove();
+            this.displayElement = null;
+        }
+    }
+    
     createDisplay() {
         if (this.displayElement) return;
         
@@ -218,10 +275,104 @@ export class PerformanceMonitor {
             <div>Gesture: ${this.metrics.gestureDetectionTime.toFixed(1)}ms</div>
             <div>Game: ${this.metrics.gameUpdateTime.toFixed(1)}ms</div>
             <div>Render: ${this.metrics.renderTime.toFixed(1)}ms</div>
+            ${this.logEntries.length > 0 ? `
+                <div style="color: #ffff00; margin-top: 6px;">Quality log</div>
+                ${this.logEntries.map(entry => `<div style="color: #aaa;">${entry}</div>`).join('')}
+            ` : ''}
         `;
     }
     
     getMetrics() {
         return { ...this.metrics };
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Adaptive quality controller
+ * Samples PerformanceMonitor FPS during play and steps the quality ladder
+ * down when the device can't hold its target frame rate, and back up once
+ * it has headroom again - but never above the detected device capability,
+ * since a device capped at its target FPS always reports headroom.
+ * Every change is logged to the monitor overlay.
+ */
+export class AdaptiveQualityController {
+    /**
+     * @param {object} options
+     * @param {PerformanceMonitor} options.monitor - source of FPS metrics
+     * @param {object} options.config - active performance config (targetFps, deviceCapability)
+     * @param {(level: object) => void} options.onChange - applies a quality level
+     */
+    constructor({ monitor, config, onChange }) {
+        this.monitor = monitor;
+        this.targetFps = config.targetFps;
+        this.onChange = onChange;
+
+        this.levelIndex = Math.max(0, QUALITY_LEVELS.findIndex(level => level.name === config.deviceCapability));
+        this.maxLevelIndex = this.levelIndex;
+        this.sampleIntervalMs = 1000;
+        this.lastSampleTime = 0;
+        this.lowSamples = 0;
+        this.highSamples = 0;
+
+        this.downgradeThreshold = 0.85; // below 85% of target FPS counts as a slow sample
+        this.upgradeThreshold = 0.97;   // at or above 97% of target FPS counts as headroom
+        this.samplesToDowngrade = 2;
+        this.samplesToUpgrade = 8;
+    }
+
+    /**
+     * Current quality level
+     */
+    getLevel() {
+        return QUALITY_LEVELS[this.levelIndex];
+    }
+
+    /**
+     * Call once per frame while playing
+     */
+    update(now) {
+        if (now - this.lastSampleTime < this.sampleIntervalMs) return;
+        this.lastSampleTime = now;
+
+        const { fps } = this.monitor.getMetrics();
+        if (!fps) return;
+
+        if (fps < this.targetFps * this.downgradeThreshold) {
+            this.lowSamples++;
+            this.highSamples = 0;
+        } else if (fps >= this.targetFps * this.upgradeThreshold) {
+            this.highSamples++;
+            this.lowSamples = 0;
+        } else {
+            this.lowSamples = 0;
+            this.highSamples = 0;
+        }
+
+        if (this.lowSamples >= this.samplesToDowngrade && this.levelIndex > 0) {
+            this.setLevel(this.levelIndex - 1, `${fps} FPS < ${this.targetFps}`);
+        } else if (this.highSamples >= this.samplesToUpgrade && this.levelIndex < this.maxLevelIndex) {
+            this.setLevel(this.levelIndex + 1, `${fps} FPS stable`);
+        }
+    }
+
+    /**
+     * Switch to a quality level and log the change
+     */
+    setLevel(index, reason) {
+        const previous = this.getLevel();
+        this.levelIndex = index;
+        this.lowSamples = 0;
+        this.highSamples = 0;
+
+        const level = this.getLevel();
+        this.monitor.log(
+            `Quality ${previous.name} → ${level.name} (${reason}): ` +
+            `pixelRatio ${level.pixelRatio}, particles ${level.particleCount}, ` +
+            `detection ${level.gestureDetectionFps}fps, post ${level.enablePostProcessing ? 'on' : 'off'}`
+        );
+
+        if (this.onChange) {
+            this.onChange(level);
+        }
+    }
+}
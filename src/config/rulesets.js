@@ -0,0 +1,60 @@
+/**
+ * Game Rulesets
+ * Scoring, timer, lives and game-over rules consumed by ScoreSystem.
+ * Each game mode (src/modes) picks one of these; fruit point values live in config/fruits.js.
+ */
+
+// 连击规则（各规则集共用）
+const COMBO_RULES = {
+    minFruits: 3,     // 一次划动至少切中几个水果才算连击
+    bonusPerFruit: 5, // 连击奖励：每个水果额外加分
+    window: 0.3       // 同一只手两次切割间隔（秒）不超过该值视为同一次划动
+};
+
+export const RULESETS = {
+    // 街机模式：60 秒限时，炸弹扣分，分数为负时结束
+    arcade: {
+        id: 'arcade',
+        name: 'Arcade',
+        timeLimit: 60,            // 游戏时长（秒），null 表示不限时
+        lives: null,              // 生命数，null 表示不使用生命
+        bombPoints: -20,          // 切割炸弹得分
+        bombEndsGame: false,      // 切到炸弹是否立即结束
+        missCostsLife: false,     // 漏掉水果是否扣生命
+        endOnNegativeScore: true, // 分数低于 0 时结束
+        combo: COMBO_RULES
+    },
+    // 经典模式：不限时，三条命，漏掉一个水果扣一条命，切到炸弹立即结束
+    classic: {
+        id: 'classic',
+        name: 'Classic',
+        timeLimit: null,
+        lives: 3,
+        bombPoints: 0,
+        bombEndsGame: true,
+        missCostsLife: true,
+        endOnNegativeScore: false,
+        combo: COMBO_RULES
+    },
+    // 禅模式：90 秒，不会提前结束（该模式不生成炸弹）
+    zen: {
+        id: 'zen',
+        name: 'Zen',
+        timeLimit: 90,
+        lives: null,
+        bombPoints: 0,
+        bombEndsGame: false,
+        missCostsLife: false,
+        endOnNegativeScore: false,
+        combo: COMBO_RULES
+    }
+};
+
+export const DEFAULT_RULESET = 'arcade';
+
+/**
+ * Get a ruleset by id, falling back to the default ruleset for unknown ids
+ */
+export function getRuleset(id) {
+    return RULESETS[id] || RULESETS[DEFAULT_RULESET];
+}
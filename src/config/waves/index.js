@@ -0,0 +1,56 @@
+/**
+ * Wave Files
+ * Timed spawn scripts played back by the game simulation (see core/WavePlayer.js).
+ * Each game mode uses the file with the same id; tune pacing by editing the JSON.
+ *
+ * Format:
+ * {
+ *   "id": "arcade",
+ *   "waves": [
+ *     {
+ *       "name": "Warm-up",                 // optional, for logs
+ *       "start": 0,                        // game time (seconds) the wave begins
+ *       "duration": 20,                    // optional, only needed on the last wave when it ramps
+ *       "spawnInterval": 2.5,              // seconds between spawns
+ *       "fruitSpeed": { "from": 5, "to": 6 },
+ *       "bombChance": 0.2,                 // 0..1 chance that a spawned object is a bomb
+ *       "spawns": [                        // one entry is picked by weight on every spawn
+ *         {
+ *           "origin": ["top", "bottom"],   // one origin, or a list to pick from at random:
+ *                                          // top, top-left, top-right, left, right,
+ *                                          // bottom, bottom-left, bottom-right (tossed up from below)
+ *           "formation": "volley",         // single (default), volley, fan or crossfire
+ *           "count": 3,                    // optional, objects per formation (defaults: 1, 3, 4, 2)
+ *           "stagger": 0.15,               // optional, seconds between fan launches
+ *           "weight": 1,                   // default 1
+ *           "fruits": ["apple", "orange"], // optional, default: whole catalog by spawn weight
+ *           "powerUps": true               // optional, allow power-up fruits (default true)
+ *         }
+ *       ]
+ *     }
+ *   ]
+ * }
+ *
+ * Numeric wave values are either a number or a { "from", "to" } ramp that is
+ * interpolated from the wave's start to its end (the next wave's start, or
+ * start + duration) and holds "to" afterwards.
+ */
+
+import arcadeWaves from './arcade.json' with { type: 'json' };
+import classicWaves from './classic.json' with { type: 'json' };
+import zenWaves from './zen.json' with { type: 'json' };
+
+export const WAVE_FILES = {
+    arcade: arcadeWaves,
+    classic: classicWaves,
+    zen: zenWaves
+};
+
+export const DEFAULT_WAVE_FILE = 'arcade';
+
+/**
+ * Get a wave file by id, falling back to the default file for unknown ids
+ */
+export function getWaveFile(id) {
+    return WAVE_FILES[id] || WAVE_FILES[DEFAULT_WAVE_FILE];
+}
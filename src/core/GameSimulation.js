@@ -0,0 +1,657 @@
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { getFruitDefinition, pickFruitType } from '../config/fruits.js';
+import { WavePlayer } from './WavePlayer.js';
+import { findCuttingSegment } from './collision.js';
+import { getWaveFile } from '../config/waves/index.js';
+
+/**
+ * 游戏模拟核心
+ * 不依赖渲染器：负责波次难度、生成（位置、队形、轨迹）、运动、切割碰撞和出界判定。
+ * 每个固定步长调用一次 step(stepTime, cuttingPaths, now)，返回本步发生的事件；
+ * GameScene 只根据事件和物体状态绘制画面，也可以在 Node 中直接驱动（测试、回放）。
+ *
+ * 物体是普通对象：
+ * { id, kind: 'fruit'|'bomb', fruitType, position, previousPosition, velocity, rotation,
+ *   angularVelocity, radius, gravity, isBonus, isCut }，向量均为 { x, y, z }（世界坐标）
+ *
+ * 事件：
+ * - { type: 'spawn', object }
+ * - { type: 'fruitCut', object, fruitType, segment, hand, screenPosition }
+ * - { type: 'bombCut', object, segment, hand, screenPosition }
+ * - { type: 'fruitMissed', object, fruitType }  未被切到就掉出屏幕的水果（奖励水果除外）
+ * - { type: 'removed', object }                 任何掉出屏幕的物体
+ */
+
+// 基准生成密度（中档预设的 fruitSpawnRate），波次文件的生成间隔按此密度设计
+export const BASE_SPAWN_RATE = 0.4;
+
+// 物体低于该高度（世界坐标）时移除
+const REMOVE_BELOW_Y = -10;
+
+const BOMB_RADIUS = 0.8;
+
+/**
+ * 透视视图：与 GameScene 的相机一致（位于 z = distance，看向原点），把世界坐标投影到屏幕像素
+ * 不依赖 three，Node 中（测试、无头回放）也能使用；屏幕尺寸可随画布变化
+ * @param {object} [options]
+ * @param {number} [options.width=1280] - 屏幕宽度（像素）
+ * @param {number} [options.height=720] - 屏幕高度（像素）
+ * @param {number} [options.fov=75] - 竖直视场角（度）
+ * @param {number} [options.distance=10] - 相机到 z = 0 平面的距离
+ * @returns {{ width: number, height: number, setSize: Function, getVisibleExtents: Function, worldToScreen: Function, getScreenRadius: Function }}
+ */
+export function createPerspectiveView({ width = 1280, height = 720, fov = 75, distance = 10 } = {}) {
+    const focal = 1 / Math.tan(fov / 2 * Math.PI / 180);
+
+    return {
+        width,
+        height,
+        setSize(newWidth, newHeight) {
+            this.width = newWidth;
+            this.height = newHeight;
+        },
+        // z = 0 平面上的可见半宽和半高（世界坐标）
+        getVisibleExtents() {
+            const halfHeight = distance / focal;
+            return { halfWidth: halfHeight * this.width / this.height, halfHeight };
+        },
+        worldToScreen(position) {
+            const scale = focal / (distance - position.z);
+            return {
+                x: (position.x * scale * this.height / this.width + 1) * this.width / 2,
+                y: (-position.y * scale + 1) * this.height / 2
+            };
+        },
+        // 世界空间半径投影到屏幕上的像素半径（随深度变化）
+        getScreenRadius(position, radius) {
+            return radius * focal / (distance - position.z) * this.height / 2;
+        }
+    };
+}
+
+export class GameSimulation {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.waves] - 波次文件（格式见 config/waves/index.js），默认街机模式
+     * @param {number} [options.spawnRate=BASE_SPAWN_RATE] - 生成密度（性能预设的 fruitSpawnRate）
+     * @param {object} [options.view] - 屏幕投影：getVisibleExtents()、worldToScreen(position)、
+     *                                  getScreenRadius(position, radius)，默认 1280×720 的 createPerspectiveView()
+     * @param {number|string|null} [options.seed=null] - 固定种子，null 表示每局新种子
+     */
+    constructor({ waves = getWaveFile(), spawnRate = BASE_SPAWN_RATE, view = createPerspectiveView(), seed = null } = {}) {
+        this.view = view;
+
+        // 游戏对象
+        this.fruits = [];
+        this.bombs = [];
+        this.nextObjectId = 1;
+
+        // 游戏参数
+        // 生成密度，相对 BASE_SPAWN_RATE 缩放波次的生成间隔
+        this.spawnRate = spawnRate;
+        this.fruitSpeed = 5.0;
+        this.difficulty = 1.0;
+        this.gameTime = 0;
+        this.isPaused = true; // 暂停时不生成新物体
+        this.lastSpawnTime = 0; // 上次生成时间
+        this.bombChance = 0.2; // 每次生成出现炸弹的概率
+        this.timeScale = 1.0; // 时间流速（冰冻道具会放慢）
+
+        // 狂热道具：持续期间从两侧连续抛出水果
+        this.frenzyTimeRemaining = 0;
+        this.frenzySpawnInterval = 0.25;
+        this.lastFrenzySpawnTime = 0;
+
+        // 队形中延迟抛出的物体（扇形依次抛出）：{ time, origin, lane, spawn }
+        this.pendingSpawns = [];
+
+        // 随机数源：所有影响玩法的随机（水果类型、位置、速度、旋转、炸弹比例）都由它产生
+        // fixedSeed 为 null 时每局使用新种子，设置后每局都重放同一序列
+        this.fixedSeed = null;
+        this.random = new SeededRandom();
+
+        // 刀锋最低速度（像素/秒）：低于该速度的路径线段不算切割，避免静止或缓慢移动的手误切
+        this.minBladeSpeed = 400;
+        // 刀锋半宽（像素），与物体屏幕半径相加作为命中距离
+        this.bladeRadius = 10;
+        // 刀锋线段的最长保留时间（毫秒）：鼠标按住不动时旧的快速线段不会一直有效
+        this.maxBladeSegmentAge = 250;
+
+        // 本步事件，step() 返回后清空
+        this.events = [];
+
+        this.setWaves(waves);
+        this.setSeed(seed);
+    }
+
+    /**
+     * 推进一个固定步长
+     * @param {number} stepTime - 步长（秒），按 timeScale 缩放
+     * @param {Array<{points: Array<{x, y, timestamp?: number}>, hand: string}>} [cuttingPaths] - 屏幕坐标的切割路径
+     * @param {number} [now=Date.now()] - 与路径点 timestamp 同一时钟的当前时间（毫秒）
+     * @returns {object[]} 本步发生的事件
+     */
+    step(stepTime, cuttingPaths = [], now = Date.now()) {
+        const deltaTime = stepTime * this.timeScale;
+        this.gameTime += deltaTime;
+
+        this.updateDifficulty();
+        this.spawnObjects(deltaTime);
+
+        this.fruits.forEach(fruit => this.moveObject(fruit, deltaTime));
+        this.bombs.forEach(bomb => this.moveObject(bomb, deltaTime));
+
+        this.checkCuttingCollisions(cuttingPaths, now);
+        this.cleanupObjects();
+
+        const events = this.events;
+        this.events = [];
+        return events;
+    }
+
+    /**
+     * 更新游戏难度
+     * 生成间隔、水果速度和炸弹概率由当前波次决定
+     */
+    updateDifficulty() {
+        this.spawnInterval = this.getScaledSpawnInterval(this.gameTime);
+        this.fruitSpeed = this.wavePlayer.getFruitSpeed(this.gameTime);
+        this.bombChance = this.wavePlayer.getBombChance(this.gameTime);
+        this.difficulty = 1.0 + this.gameTime * 0.05;
+    }
+
+    /**
+     * 当前波次的生成间隔，按生成密度缩放（密度越高间隔越短）
+     */
+    getScaledSpawnInterval(gameTime) {
+        return this.wavePlayer.getSpawnInterval(gameTime) * (BASE_SPAWN_RATE / this.spawnRate);
+    }
+
+    /**
+     * 设置生成密度（性能预设的 fruitSpawnRate）
+     */
+    setSpawnRate(spawnRate) {
+        this.spawnRate = spawnRate;
+        this.spawnInterval = this.getScaledSpawnInterval(this.gameTime);
+    }
+
+    /**
+     * 设置时间流速（1 为正常速度）
+     */
+    setTimeScale(scale) {
+        this.timeScale = scale;
+    }
+
+    /**
+     * 开始狂热：持续 duration 秒（游戏时间）从两侧抛出水果
+     */
+    startFrenzy(duration) {
+        this.frenzyTimeRemaining = duration;
+        this.lastFrenzySpawnTime = this.gameTime;
+    }
+
+    /**
+     * 结束狂热
+     */
+    stopFrenzy() {
+        this.frenzyTimeRemaining = 0;
+    }
+
+    /**
+     * 设置波次文件（格式见 config/waves/index.js），按游戏时间从头播放
+     * 文件格式不正确时抛出错误，原有波次保持不变
+     */
+    setWaves(waveFile) {
+        this.wavePlayer = new WavePlayer(waveFile);
+        this.updateDifficulty();
+    }
+
+    /**
+     * 设置刀锋最低速度（像素/秒），0 表示不限制
+     */
+    setMinBladeSpeed(speed) {
+        this.minBladeSpeed = Math.max(0, speed);
+    }
+
+    /**
+     * 生成水果和炸弹
+     * 基于时间间隔而非概率，使生成更加均匀；生成什么、从哪里生成由当前波次决定
+     */
+    spawnObjects(deltaTime) {
+        // 如果游戏暂停，不生成物体
+        if (this.isPaused) return;
+
+        // 狂热期间从左右两侧交替抛出水果
+        if (this.frenzyTimeRemaining > 0) {
+            this.frenzyTimeRemaining -= deltaTime;
+            if (this.gameTime - this.lastFrenzySpawnTime >= this.frenzySpawnInterval) {
+                this.lastFrenzySpawnTime = this.gameTime;
+                this.spawnFruit({
+                    origin: this.random.next() < 0.5 ? 'left' : 'right',
+                    includePowerUps: false,
+                    isBonus: true
+                });
+            }
+        }
+
+        // 队形中到时间的延迟物体
+        if (this.pendingSpawns.length > 0) {
+            const due = this.pendingSpawns.filter(pending => pending.time <= this.gameTime);
+            this.pendingSpawns = this.pendingSpawns.filter(pending => pending.time > this.gameTime);
+            due.forEach(pending => this.spawnFruitOrBomb(pending.origin, pending.spawn, { lane: pending.lane }));
+        }
+
+        // 检查是否到了生成时间
+        if (this.gameTime - this.lastSpawnTime >= this.spawnInterval) {
+            this.lastSpawnTime = this.gameTime;
+            this.spawnWaveEntry(this.wavePlayer.pickSpawn(this.gameTime, this.random));
+        }
+    }
+
+    /**
+     * 按波次条目生成一组物体
+     * lane 为 0-1 的横向位置（0 最左），由队形决定每个物体的位置
+     * @param {{ origin: string, formation: string, count: number, stagger: number, fruits: string[]|null, powerUps: boolean }} spawn
+     */
+    spawnWaveEntry(spawn) {
+        const { count } = spawn;
+
+        switch (spawn.formation) {
+            case 'volley':
+                // 同时齐射：横向均匀分布，略加抖动
+                for (let i = 0; i < count; i++) {
+                    const lane = (i + 0.3 + this.random.next() * 0.4) / count;
+                    this.spawnFruitOrBomb(spawn.origin, spawn, { lane });
+                }
+                break;
+            case 'fan':
+                // 从左到右依次抛出，第一个立即生成，其余延迟 stagger 秒
+                for (let i = 0; i < count; i++) {
+                    const lane = count === 1 ? 0.5 : i / (count - 1);
+                    if (i === 0) {
+                        this.spawnFruitOrBomb(spawn.origin, spawn, { lane });
+                    } else {
+                        this.pendingSpawns.push({
+                            time: this.gameTime + i * spawn.stagger,
+                            origin: spawn.origin,
+                            lane,
+                            spawn
+                        });
+                    }
+                }
+                break;
+            case 'crossfire':
+                // 左下、右下交替对射，忽略条目的 origin
+                for (let i = 0; i < count; i++) {
+                    const origin = i % 2 === 0 ? 'bottom-left' : 'bottom-right';
+                    const lane = (Math.floor(i / 2) + 0.5) / Math.ceil(count / 2);
+                    this.spawnFruitOrBomb(origin, spawn, { lane });
+                }
+                break;
+            case 'single':
+            default:
+                this.spawnFruitOrBomb(spawn.origin, spawn);
+                break;
+        }
+    }
+
+    /**
+     * 按当前波次的炸弹概率生成一个水果或炸弹
+     * @param {{ lane?: number }} [placement] - 队形中的横向位置
+     */
+    spawnFruitOrBomb(origin, spawn, placement = {}) {
+        if (this.random.next() >= this.bombChance) {
+            this.spawnFruit({ origin, placement, types: spawn.fruits, includePowerUps: spawn.powerUps });
+        } else {
+            this.spawnBomb({ origin, placement });
+        }
+    }
+
+    /**
+     * 从屏幕下方抛出：轨迹经过顶点 (apexX, apexY)
+     * 顶点高度限制在屏幕中部到中上部，手在摄像头前不用举过头顶就能切到；
+     * 速度越快重力越大，轨迹形状不变，只是飞得更快
+     */
+    getTossTrajectory(launchX, apexX, apexY, speed) {
+        const { halfHeight } = this.view.getVisibleExtents();
+        const speedFactor = speed / 5.0;
+        const gravity = 4.0 * speedFactor * speedFactor;
+
+        const launchY = -halfHeight - 1.5; // 屏幕下沿以下，水果完整入场
+        const verticalSpeed = Math.sqrt(2 * gravity * (apexY - launchY));
+        const timeToApex = verticalSpeed / gravity;
+
+        return {
+            position: { x: launchX, y: launchY, z: (this.random.next() - 0.5) * 2 },
+            velocity: { x: (apexX - launchX) / timeToApex, y: verticalSpeed, z: 0 },
+            gravity
+        };
+    }
+
+    /**
+     * 生成位置和初始速度
+     * @param {string} origin - top 顶部中间直线下落；top-left/top-right 从上角以抛物线掉落；
+     *                          left/right 从左/右侧中下部向内上方抛出；
+     *                          bottom/bottom-left/bottom-right 从屏幕下方向上抛出，在屏幕中部到达顶点后落回
+     * @param {{ lane?: number }} [placement] - 队形中的横向位置（0-1），top 和 bottom 系列使用，未指定时随机
+     * @returns {{ position: {x, y, z}, velocity: {x, y, z}, gravity: number }}
+     */
+    getSpawnTrajectory(origin, { lane } = {}) {
+        const speed = this.fruitSpeed * (0.8 + this.random.next() * 0.4);
+        const slot = lane === undefined ? this.random.next() : lane;
+
+        const { halfWidth, halfHeight } = this.view.getVisibleExtents();
+        // 顶点高度：屏幕中心以上 15%-60% 半高
+        const apexY = halfHeight * (0.15 + this.random.next() * 0.45);
+
+        switch (origin) {
+            case 'bottom': {
+                // 从下沿各处向上抛，顶点略向中间收
+                const launchX = (slot * 2 - 1) * halfWidth * 0.7;
+                const apexX = launchX * 0.8 + (this.random.next() - 0.5) * halfWidth * 0.1;
+                return this.getTossTrajectory(launchX, apexX, apexY, speed);
+            }
+            case 'bottom-left':
+            case 'bottom-right': {
+                // 从下方角落斜向抛出，越过中线；slot 越大抛得越远
+                const side = origin === 'bottom-left' ? -1 : 1;
+                const launchX = side * halfWidth * (0.95 - this.random.next() * 0.3);
+                const apexX = -side * halfWidth * (slot * 0.5 - 0.2);
+                return this.getTossTrajectory(launchX, apexX, apexY, speed);
+            }
+            case 'top-left':
+            case 'top-right': {
+                // 从上角以抛物线方式掉落，初始略向上（抛物线顶点）
+                const side = origin === 'top-left' ? -1 : 1;
+                const position = {
+                    x: side * 7,
+                    y: 6 + this.random.next() * 2,      // Y: 顶部附近
+                    z: (this.random.next() - 0.5) * 2
+                };
+                const velocity = {
+                    x: -side * (speed * 0.4 + this.random.next() * 0.3), // 向内
+                    y: speed * 0.2,
+                    z: 0
+                };
+                return { position, velocity, gravity: 4.0 };
+            }
+            case 'left':
+            case 'right': {
+                // 从左/右侧中下部向内上方抛出
+                const side = origin === 'left' ? -1 : 1;
+                const position = {
+                    x: side * 8,
+                    y: -3 + this.random.next() * 3,
+                    z: (this.random.next() - 0.5) * 2
+                };
+                const velocity = {
+                    x: -side * (3 + this.random.next() * 2),
+                    y: 5 + this.random.next() * 2,
+                    z: 0
+                };
+                return { position, velocity, gravity: 4.0 };
+            }
+            case 'top':
+            default: {
+                // 从顶部中间区域直线下落
+                const position = {
+                    x: (slot - 0.5) * 8,                 // X: -4 到 4
+                    y: 8,                                // Y: 顶部
+                    z: (this.random.next() - 0.5) * 2    // Z: 略微随机
+                };
+                // 主要向下的速度，略微水平偏移
+                const velocity = {
+                    x: (this.random.next() - 0.5) * 1.5,
+                    y: -speed * 0.6,
+                    z: 0
+                };
+                return { position, velocity, gravity: 4.0 };
+            }
+        }
+    }
+
+    /**
+     * 生成水果
+     * @param {object} [options]
+     * @param {string} [options.origin] - 生成位置（见 getSpawnTrajectory），默认随机选择顶部或左上/右上角
+     * @param {{ lane?: number }} [options.placement] - 队形中的横向位置
+     * @param {string[]|null} [options.types] - 限定水果类型，默认按整个水果表的权重
+     * @param {boolean} [options.includePowerUps=true] - 是否可能生成特殊水果
+     * @param {boolean} [options.isBonus=false] - 奖励水果漏掉时不算失误
+     * @returns {object} 生成的水果
+     */
+    spawnFruit({ origin, placement, types = null, includePowerUps = true, isBonus = false } = {}) {
+        const fruitType = pickFruitType(this.random, { includePowerUps, types });
+        const fruit = this.createObject('fruit', origin, placement, getFruitDefinition(fruitType).radius);
+        fruit.fruitType = fruitType;
+        fruit.isBonus = isBonus;
+
+        this.fruits.push(fruit);
+        this.events.push({ type: 'spawn', object: fruit });
+        return fruit;
+    }
+
+    /**
+     * 生成炸弹
+     * @param {object} [options]
+     * @param {string} [options.origin] - 生成位置，默认随机选择顶部或左上/右上角
+     * @param {{ lane?: number }} [options.placement] - 队形中的横向位置
+     * @returns {object} 生成的炸弹
+     */
+    spawnBomb({ origin, placement } = {}) {
+        const bomb = this.createObject('bomb', origin, placement, BOMB_RADIUS);
+
+        this.bombs.push(bomb);
+        this.events.push({ type: 'spawn', object: bomb });
+        return bomb;
+    }
+
+    /**
+     * 创建物体：轨迹和旋转速度都来自随机数源
+     */
+    createObject(kind, origin, placement, radius) {
+        const { position, velocity, gravity } = this.getSpawnTrajectory(origin || this.pickDefaultOrigin(), placement);
+
+        return {
+            id: this.nextObjectId++,
+            kind,
+            fruitType: null,
+            position,
+            previousPosition: { ...position },
+            velocity,
+            rotation: { x: 0, y: 0, z: 0 },
+            angularVelocity: {
+                x: (this.random.next() - 0.5) * 3,
+                y: (this.random.next() - 0.5) * 3,
+                z: (this.random.next() - 0.5) * 3
+            },
+            radius,
+            gravity,
+            isBonus: false,
+            isCut: false
+        };
+    }
+
+    /**
+     * 未指定生成位置时：顶部中间、左上角、右上角随机
+     */
+    pickDefaultOrigin() {
+        return this.random.pick(['top', 'top-left', 'top-right']);
+    }
+
+    /**
+     * 移动物体：记录上一步位置（用于扫掠碰撞检测和渲染插值），施加重力（Y 轴向下）
+     */
+    moveObject(object, deltaTime) {
+        if (object.isCut) return;
+
+        const { position, velocity, rotation, angularVelocity } = object;
+        object.previousPosition.x = position.x;
+        object.previousPosition.y = position.y;
+        object.previousPosition.z = position.z;
+
+        if (object.gravity) {
+            velocity.y -= object.gravity * deltaTime;
+        }
+
+        position.x += velocity.x * deltaTime;
+        position.y += velocity.y * deltaTime;
+        position.z += velocity.z * deltaTime;
+
+        rotation.x += angularVelocity.x * deltaTime;
+        rotation.y += angularVelocity.y * deltaTime;
+        rotation.z += angularVelocity.z * deltaTime;
+    }
+
+    /**
+     * 检测切割碰撞
+     * 把物体本步的运动投影为屏幕上的扫掠圆，与刀锋线段求交（见 core/collision.js）
+     */
+    checkCuttingCollisions(cuttingPaths, now) {
+        if (cuttingPaths.length === 0) return;
+
+        const options = {
+            bladeRadius: this.bladeRadius,
+            minBladeSpeed: this.minBladeSpeed,
+            maxSegmentAge: this.maxBladeSegmentAge,
+            now
+        };
+
+        // 检查水果碰撞（遍历副本，切割时会从数组中移除）
+        [...this.fruits].forEach(fruit => {
+            const segment = findCuttingSegment(this.getScreenSweep(fruit), cuttingPaths, options);
+            if (segment) {
+                this.cutObject(fruit, segment);
+            }
+        });
+
+        // 检查炸弹碰撞
+        [...this.bombs].forEach(bomb => {
+            const segment = findCuttingSegment(this.getScreenSweep(bomb), cuttingPaths, options);
+            if (segment) {
+                this.cutObject(bomb, segment);
+            }
+        });
+    }
+
+    /**
+     * 计算物体本步在屏幕上的扫掠范围
+     * @returns {{start: {x, y}, end: {x, y}, radius: number}} 上一步中心、当前中心（屏幕坐标）和屏幕半径
+     */
+    getScreenSweep(object) {
+        return {
+            start: this.view.worldToScreen(object.previousPosition),
+            end: this.view.worldToScreen(object.position),
+            radius: this.view.getScreenRadius(object.position, object.radius)
+        };
+    }
+
+    /**
+     * 切开水果或炸弹：移出模拟并记录事件
+     * @param {object} object
+     * @param {{start: {x, y}, end: {x, y}, hand: string}|null} [segment] - 切中物体的路径线段
+     */
+    cutObject(object, segment = null) {
+        if (object.isCut) return;
+
+        object.isCut = true;
+        const list = object.kind === 'fruit' ? this.fruits : this.bombs;
+        const index = list.indexOf(object);
+        if (index > -1) {
+            list.splice(index, 1);
+        }
+
+        this.events.push({
+            type: object.kind === 'fruit' ? 'fruitCut' : 'bombCut',
+            object,
+            fruitType: object.fruitType,
+            segment,
+            hand: segment ? segment.hand : null,
+            screenPosition: this.view.worldToScreen(object.position)
+        });
+    }
+
+    /**
+     * 清理掉出屏幕的物体
+     * 未被切到就掉出屏幕的水果算作漏掉（奖励水果除外）
+     */
+    cleanupObjects() {
+        this.fruits = this.fruits.filter(fruit => {
+            if (fruit.position.y >= REMOVE_BELOW_Y) return true;
+
+            if (!fruit.isBonus) {
+                this.events.push({ type: 'fruitMissed', object: fruit, fruitType: fruit.fruitType });
+            }
+            this.events.push({ type: 'removed', object: fruit });
+            return false;
+        });
+
+        this.bombs = this.bombs.filter(bomb => {
+            if (bomb.position.y >= REMOVE_BELOW_Y) return true;
+
+            this.events.push({ type: 'removed', object: bomb });
+            return false;
+        });
+    }
+
+    /**
+     * 所有仍在场上的水果和炸弹
+     */
+    getObjects() {
+        return [...this.fruits, ...this.bombs];
+    }
+
+    /**
+     * 重置：清空物体，回到第 0 秒的波次参数，并重新播种
+     * 重置后处于暂停状态，setPaused(false) 后开始生成
+     */
+    reset() {
+        this.fruits = [];
+        this.bombs = [];
+        this.events = [];
+
+        this.gameTime = 0;
+        this.difficulty = 1.0;
+        this.spawnInterval = this.getScaledSpawnInterval(0);
+        this.fruitSpeed = this.wavePlayer.getFruitSpeed(0);
+        this.bombChance = this.wavePlayer.getBombChance(0);
+        this.lastSpawnTime = 0;
+        this.timeScale = 1.0;
+        this.frenzyTimeRemaining = 0;
+        this.lastFrenzySpawnTime = 0;
+        this.pendingSpawns = [];
+        this.isPaused = true;
+
+        // 重新播种，保证同一种子的每一局生成序列完全一致
+        this.random.setSeed(this.fixedSeed !== null ? this.fixedSeed : SeededRandom.createSeed());
+    }
+
+    /**
+     * 设置生成种子
+     * 传入 null 恢复为每局随机种子；新种子在下一次 reset() 时生效
+     */
+    setSeed(seed) {
+        this.fixedSeed = seed === null || seed === undefined || seed === ''
+            ? null
+            : SeededRandom.normalizeSeed(seed);
+        this.random.setSeed(this.fixedSeed !== null ? this.fixedSeed : SeededRandom.createSeed());
+    }
+
+    /**
+     * 获取本局使用的种子
+     */
+    getSeed() {
+        return this.random.getSeed();
+    }
+
+    /**
+     * 暂停/继续生成
+     */
+    setPaused(paused) {
+        this.isPaused = paused;
+        if (!paused) {
+            // 重置生成时间，防止暂停后立即生成
+            this.lastSpawnTime = this.gameTime;
+        }
+    }
+}
@@ -0,0 +1,207 @@
+import { getFruitTypes } from '../config/fruits.js';
+
+/**
+ * 波次播放器
+ * 读取波次文件（config/waves/*.json），按游戏时间给出当前波次的生成间隔、水果速度、
+ * 炸弹概率，并按权重挑选本次生成的条目（从哪里、什么队形、生成什么）。
+ * 文件格式见 config/waves/index.js。
+ */
+
+// 生成位置
+export const SPAWN_ORIGINS = ['top', 'top-left', 'top-right', 'left', 'right', 'bottom', 'bottom-left', 'bottom-right'];
+
+// 队形及默认数量：single 单个；volley 同时齐射；fan 从左到右依次抛出（间隔 stagger 秒）；
+// crossfire 从左下、右下交替对射，轨迹在中间交叉
+export const SPAWN_FORMATIONS = {
+    single: { count: 1 },
+    volley: { count: 3 },
+    fan: { count: 4, stagger: 0.15 },
+    crossfire: { count: 2 }
+};
+
+const RAMPED_FIELDS = ['spawnInterval', 'fruitSpeed', 'bombChance'];
+
+export class WavePlayer {
+    /**
+     * @param {object} waveFile - 波次文件内容，格式不正确时抛出错误
+     */
+    constructor(waveFile) {
+        this.waveFile = waveFile;
+        this.waves = parseWaves(waveFile);
+    }
+
+    /**
+     * 当前波次：start 不大于 gameTime 的最后一个波次
+     */
+    getWave(gameTime) {
+        let current = this.waves[0];
+        for (const wave of this.waves) {
+            if (wave.start > gameTime) break;
+            current = wave;
+        }
+        return current;
+    }
+
+    /**
+     * 生成间隔（秒）
+     */
+    getSpawnInterval(gameTime) {
+        return this.getValue('spawnInterval', gameTime);
+    }
+
+    /**
+     * 水果基础速度
+     */
+    getFruitSpeed(gameTime) {
+        return this.getValue('fruitSpeed', gameTime);
+    }
+
+    /**
+     * 每个生成物是炸弹的概率
+     */
+    getBombChance(gameTime) {
+        return this.getValue('bombChance', gameTime);
+    }
+
+    /**
+     * 按权重挑选一个生成条目
+     * @param {{ next: () => number }} random - 随机数源
+     * @returns {{ origin: string, formation: string, count: number, stagger: number, fruits: string[]|null, powerUps: boolean }}
+     */
+    pickSpawn(gameTime, random) {
+        const { spawns } = this.getWave(gameTime);
+        const totalWeight = spawns.reduce((sum, spawn) => sum + spawn.weight, 0);
+
+        let roll = random.next() * totalWeight;
+        let spawn = spawns[spawns.length - 1];
+        for (const candidate of spawns) {
+            roll -= candidate.weight;
+            if (roll < 0) {
+                spawn = candidate;
+                break;
+            }
+        }
+
+        const origins = spawn.origin;
+        return {
+            origin: origins[Math.floor(random.next() * origins.length)],
+            formation: spawn.formation,
+            count: spawn.count,
+            stagger: spawn.stagger,
+            fruits: spawn.fruits,
+            powerUps: spawn.powerUps
+        };
+    }
+
+    /**
+     * 数值字段：固定值或在波次内线性插值
+     */
+    getValue(field, gameTime) {
+        const wave = this.getWave(gameTime);
+        const value = wave[field];
+        if (typeof value === 'number') {
+            return value;
+        }
+
+        const span = wave.end === null ? 0 : wave.end - wave.start;
+        const progress = span > 0
+            ? Math.min(1, Math.max(0, (gameTime - wave.start) / span))
+            : 0;
+        return value.from + (value.to - value.from) * progress;
+    }
+}
+
+/**
+ * 校验并规范化波次文件
+ * 补全默认值、按 start 排序、计算每个波次的结束时间
+ */
+function parseWaves(waveFile) {
+    const fileId = waveFile && waveFile.id ? `"${waveFile.id}"` : '(unnamed)';
+    const fail = (message) => {
+        throw new Error(`Wave file ${fileId}: ${message}`);
+    };
+
+    if (!waveFile || !Array.isArray(waveFile.waves) || waveFile.waves.length === 0) {
+        fail('"waves" must be a non-empty array');
+    }
+
+    const fruitTypes = getFruitTypes();
+    const waves = waveFile.waves
+        .map((wave, index) => {
+            const label = wave.name ? `wave "${wave.name}"` : `wave ${index}`;
+
+            if (typeof wave.start !== 'number' || wave.start < 0) {
+                fail(`${label} needs a non-negative "start"`);
+            }
+
+            RAMPED_FIELDS.forEach(field => {
+                const value = wave[field];
+                const valid = typeof value === 'number' ||
+                    (value && typeof value.from === 'number' && typeof value.to === 'number');
+                if (!valid) {
+                    fail(`${label} "${field}" must be a number or { "from", "to" }`);
+                }
+            });
+
+            if (!Array.isArray(wave.spawns) || wave.spawns.length === 0) {
+                fail(`${label} needs at least one entry in "spawns"`);
+            }
+
+            const spawns = wave.spawns.map(spawn => {
+                const origin = Array.isArray(spawn.origin) ? spawn.origin : [spawn.origin];
+                origin.forEach(name => {
+                    if (!SPAWN_ORIGINS.includes(name)) {
+                        fail(`${label} has unknown origin "${name}" (expected ${SPAWN_ORIGINS.join(', ')})`);
+                    }
+                });
+
+                const formation = spawn.formation || 'single';
+                const formationDefaults = SPAWN_FORMATIONS[formation];
+                if (!formationDefaults) {
+                    fail(`${label} has unknown formation "${formation}" (expected ${Object.keys(SPAWN_FORMATIONS).join(', ')})`);
+                }
+
+                const count = spawn.count === undefined ? formationDefaults.count : spawn.count;
+                if (!Number.isInteger(count) || count < 1) {
+                    fail(`${label} "count" must be a positive integer`);
+                }
+
+                if (spawn.fruits) {
+                    spawn.fruits.forEach(type => {
+                        if (!fruitTypes.includes(type)) {
+                            fail(`${label} has unknown fruit "${type}"`);
+                        }
+                    });
+                }
+
+                return {
+                    origin,
+                    formation,
+                    count,
+                    stagger: spawn.stagger === undefined ? (formationDefaults.stagger || 0) : spawn.stagger,
+                    weight: spawn.weight === undefined ? 1 : spawn.weight,
+                    fruits: spawn.fruits && spawn.fruits.length > 0 ? spawn.fruits : null,
+                    powerUps: spawn.powerUps !== false
+                };
+            });
+
+            return { ...wave, spawns };
+        })
+        .sort((a, b) => a.start - b.start);
+
+    // 结束时间：下一波次的开始，最后一波次为 start + duration（未设置则为 null）
+    waves.forEach((wave, index) => {
+        const next = waves[index + 1];
+        if (next) {
+            wave.end = next.start;
+        } else {
+            wave.end = typeof wave.duration === 'number' ? wave.start + wave.duration : null;
+        }
+
+        if (wave.end === null && RAMPED_FIELDS.some(field => typeof wave[field] !== 'number')) {
+            fail(`last wave ramps a value, so it needs a "duration"`);
+        }
+    });
+
+    return waves;
+}
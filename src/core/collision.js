@@ -0,0 +1,134 @@
+/**
+ * 切割碰撞检测
+ * 纯函数，只处理屏幕坐标（像素），不依赖渲染器：
+ * 物体本帧的运动投影为屏幕上的扫掠圆（胶囊体），与刀锋线段求交，
+ * 既考虑物体的实际大小和深度，也避免高速物体在两帧之间穿过刀锋。
+ */
+
+/**
+ * 查找与物体扫掠范围相交的切割线段
+ * 只检测每条路径最近的 8 个点，且只有达到刀锋速度的线段才算刀锋
+ * @param {{start: {x, y}, end: {x, y}, radius: number}} sweep - 物体在屏幕上的扫掠圆
+ * @param {Array<{points: Array<{x, y, timestamp?: number}>, hand: string, width?: number}>} paths - 切割路径
+ *        width 为刀锋宽度倍数（触摸压力或接触尺寸），缺省为 1
+ * @param {object} options
+ * @param {number} options.bladeRadius - 宽度倍数为 1 时的刀锋半宽（像素），乘以路径的 width 后与物体屏幕半径相加作为命中距离
+ * @param {number} options.minBladeSpeed - 刀锋最低速度（像素/秒）
+ * @param {number} options.maxSegmentAge - 刀锋线段的最长保留时间（毫秒）
+ * @param {number} options.now - 当前时间（与路径点 timestamp 同一时钟，毫秒）
+ * @returns {{start: {x, y}, end: {x, y}, hand: string}|null} 命中的线段及所属的手，未命中返回 null
+ */
+export function findCuttingSegment(sweep, paths, { bladeRadius, minBladeSpeed, maxSegmentAge, now }) {
+    for (const path of paths) {
+        const hitDistance = sweep.radius + bladeRadius * (path.width === undefined ? 1 : path.width);
+
+        // 只检测最近的路径点，避免旧拖影误切
+        const recentPointsCount = Math.min(8, path.points.length);
+        const startIndex = Math.max(0, path.points.length - recentPointsCount);
+
+        for (let i = startIndex; i < path.points.length - 1; i++) {
+            const p1 = path.points[i];
+            const p2 = path.points[i + 1];
+
+            if (!isBladeSegment(p1, p2, { minBladeSpeed, maxSegmentAge, now })) {
+                continue;
+            }
+
+            const distance = segmentToSegmentDistance(sweep.start, sweep.end, p1, p2);
+
+            if (distance <= hitDistance) {
+                return { start: p1, end: p2, hand: path.hand };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * 判断路径线段是否达到刀锋速度
+ * 路径点需带 timestamp（毫秒）；缺少时间戳的旧式路径不做速度限制
+ */
+export function isBladeSegment(p1, p2, { minBladeSpeed, maxSegmentAge, now }) {
+    if (p1.timestamp === undefined || p2.timestamp === undefined) {
+        return true;
+    }
+
+    if (now - p2.timestamp > maxSegmentAge) {
+        return false;
+    }
+
+    const dx = p2.x - p1.x;
+    const dy = p2.y - p1.y;
+    // 同一毫秒内的两个点按 1ms 计算，避免除以 0
+    const elapsedSeconds = Math.max(p2.timestamp - p1.timestamp, 1) / 1000;
+    const speed = Math.sqrt(dx * dx + dy * dy) / elapsedSeconds;
+
+    return speed >= minBladeSpeed;
+}
+
+/**
+ * 计算两条线段之间的最短距离
+ * 相交时为 0，否则为四个端点到对方线段距离的最小值
+ */
+export function segmentToSegmentDistance(a1, a2, b1, b2) {
+    if (segmentsIntersect(a1, a2, b1, b2)) {
+        return 0;
+    }
+
+    return Math.min(
+        pointToLineDistance(a1, b1, b2),
+        pointToLineDistance(a2, b1, b2),
+        pointToLineDistance(b1, a1, a2),
+        pointToLineDistance(b2, a1, a2)
+    );
+}
+
+/**
+ * 判断两条线段是否严格相交（端点接触或共线不算）
+ */
+export function segmentsIntersect(a1, a2, b1, b2) {
+    const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+
+    const d1 = cross(b1, b2, a1);
+    const d2 = cross(b1, b2, a2);
+    const d3 = cross(a1, a2, b1);
+    const d4 = cross(a1, a2, b2);
+
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+        ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+/**
+ * 计算点到线段的距离（线段退化为点时即点到点距离）
+ */
+export function pointToLineDistance(point, lineStart, lineEnd) {
+    const A = point.x - lineStart.x;
+    const B = point.y - lineStart.y;
+    const C = lineEnd.x - lineStart.x;
+    const D = lineEnd.y - lineStart.y;
+
+    const dot = A * C + B * D;
+    const lenSq = C * C + D * D;
+    let param = -1;
+
+    if (lenSq !== 0) {
+        param = dot / lenSq;
+    }
+
+    let xx, yy;
+
+    if (param < 0) {
+        xx = lineStart.x;
+        yy = lineStart.y;
+    } else if (param > 1) {
+        xx = lineEnd.x;
+        yy = lineEnd.y;
+    } else {
+        xx = lineStart.x + param * C;
+        yy = lineStart.y + param * D;
+    }
+
+    const dx = point.x - xx;
+    const dy = point.y - yy;
+    return Math.sqrt(dx * dx + dy * dy);
+}
@@ -0,0 +1,337 @@
+/**
+ * 录像：录制一局的输入并按固定步长重放
+ * 模拟核心是确定性的：同一种子、同一模式、每一步同样的切割路径和时钟，就会得到同样的一局。
+ * 所以录像只保存这些输入，外加每一步发生的事件（用于校验回放结果和统计）。
+ *
+ * 文件格式（JSON）：
+ * {
+ *   "format": "fruit-ninja-replay",
+ *   "version": 1,
+ *   "seed": 123456, "mode": "arcade",
+ *   "spawnRate": 0.4, "minBladeSpeed": 400, "fixedStep": 0.016666666666666666,
+ *   "startTime": 1760000000000,           // 第 0 步的时钟（毫秒），其余时间都相对它保存
+ *   "recordedAt": "2026-10-19T12:00:00.000Z",
+ *   "result": { "score": 120, "reason": "time", "steps": 3600 },
+ *   "views": [[0, 1280, 720]],            // [步, 画布宽, 画布高]，尺寸变化时追加
+ *   "clock": [0, 17, 16, ...],            // 每一步的时钟增量（毫秒）
+ *   "input": [[步, [[手, 丢弃点数, [x, y, t, x, y, t, ...], 宽度?], ...]], ...],
+ *                                          // 切割路径有变化的步：按原顺序列出每条路径，
+ *                                          // 相对上一步先从头部丢弃若干点，再追加新点；
+ *                                          // 刀锋宽度倍数（触摸压力）不为 1 时附在末尾
+ *   "events": [[步, "fruitCut", "apple", "left"], [步, "bombCut"], [步, "fruitMissed", "banana"]]
+ * }
+ *
+ * 坐标保留两位小数。录制时把量化后的路径交给模拟核心，现场和回放使用完全相同的输入。
+ */
+
+export const REPLAY_FORMAT = 'fruit-ninja-replay';
+export const REPLAY_VERSION = 1;
+
+// 坐标精度：0.01 像素
+const COORDINATE_SCALE = 100;
+
+const quantize = (value) => Math.round(value * COORDINATE_SCALE) / COORDINATE_SCALE;
+
+export class ReplayRecorder {
+    /**
+     * @param {object} options
+     * @param {number} options.seed - 本局的生成种子
+     * @param {string} options.mode - 游戏模式 id
+     * @param {number} options.spawnRate - 生成密度
+     * @param {number} options.minBladeSpeed - 刀锋最低速度
+     * @param {number} options.fixedStep - 固定步长（秒）
+     * @param {{ width: number, height: number }} options.view - 碰撞检测使用的画布尺寸
+     */
+    constructor({ seed, mode, spawnRate, minBladeSpeed, fixedStep, view }) {
+        this.header = { seed, mode, spawnRate, minBladeSpeed, fixedStep };
+        this.startTime = null;
+        this.lastNow = null;
+        this.stepCount = 0;
+
+        this.views = [];
+        this.clock = [];
+        this.input = [];
+        this.events = [];
+
+        this.view = null;
+        this.setView(view);
+
+        // 上一步的路径（量化后），用于增量编码
+        this.previousPaths = [];
+    }
+
+    /**
+     * 记录画布尺寸变化，从下一步开始生效
+     */
+    setView({ width, height }) {
+        if (this.view && this.view.width === width && this.view.height === height) return;
+
+        this.view = { width, height };
+        this.views.push([this.stepCount, width, height]);
+    }
+
+    /**
+     * 记录一步的输入
+     * @param {Array<{points: Array<{x, y, timestamp?: number}>, hand: string}>} cuttingPaths
+     * @param {number} now - 本步的时钟（毫秒）
+     * @returns {Array} 量化后的切割路径，应交给模拟核心使用
+     */
+    recordStep(cuttingPaths, now) {
+        if (this.startTime === null) {
+            this.startTime = now;
+            this.lastNow = now;
+        }
+        this.clock.push(now - this.lastNow);
+        this.lastNow = now;
+
+        const paths = cuttingPaths.map(path => {
+            const recorded = {
+                hand: path.hand,
+                points: path.points.map(point => ({
+                    x: quantize(point.x),
+                    y: quantize(point.y),
+                    timestamp: point.timestamp === undefined ? undefined : Math.round(point.timestamp)
+                }))
+            };
+            // 刀锋宽度影响命中距离，也要录下来
+            if (path.width !== undefined && path.width !== 1) {
+                recorded.width = quantize(path.width);
+            }
+            return recorded;
+        });
+
+        const changes = encodePathChanges(this.previousPaths, paths, this.startTime);
+        if (changes) {
+            this.input.push([this.stepCount, changes]);
+        }
+        this.previousPaths = paths;
+        this.stepCount++;
+
+        return paths;
+    }
+
+    /**
+     * 记录本步发生的事件（在 recordStep 之后、同一步内调用）
+     * @param {string} type - fruitCut、bombCut 或 fruitMissed
+     * @param {...(string|null)} details - 水果类型、切割的手
+     */
+    recordEvent(type, ...details) {
+        this.events.push([Math.max(0, this.stepCount - 1), type, ...details]);
+    }
+
+    /**
+     * 结束录制
+     * @param {{ score: number, reason: string }} result
+     * @returns {object} 录像（可直接交给 ReplayPlayer 或 serializeReplay）
+     */
+    finish({ score, reason }) {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            ...this.header,
+            startTime: this.startTime === null ? 0 : this.startTime,
+            recordedAt: new Date().toISOString(),
+            result: { score, reason, steps: this.stepCount },
+            views: this.views,
+            clock: this.clock,
+            input: this.input,
+            events: this.events
+        };
+    }
+}
+
+export class ReplayPlayer {
+    /**
+     * @param {object} replay - ReplayRecorder.finish() 或 parseReplay() 的结果
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.stepIndex = 0;
+        this.now = replay.startTime;
+        this.paths = [];
+        this.view = null;
+
+        this.inputIndex = 0;
+        this.viewIndex = 0;
+    }
+
+    /**
+     * 录像的总步数
+     */
+    get stepCount() {
+        return this.replay.clock.length;
+    }
+
+    /**
+     * 是否已播放完所有步
+     */
+    isFinished() {
+        return this.stepIndex >= this.stepCount;
+    }
+
+    /**
+     * 取出下一步的输入
+     * @returns {{ cuttingPaths: Array, now: number, view: { width: number, height: number } }|null}
+     *          播放完时返回 null；view 对象在尺寸不变时保持同一个引用
+     */
+    nextStep() {
+        if (this.isFinished()) return null;
+
+        const { views, clock, input, startTime } = this.replay;
+        const step = this.stepIndex;
+
+        while (this.viewIndex < views.length && views[this.viewIndex][0] <= step) {
+            const [, width, height] = views[this.viewIndex++];
+            this.view = { width, height };
+        }
+
+        this.now += clock[step];
+
+        if (this.inputIndex < input.length && input[this.inputIndex][0] === step) {
+            this.paths = decodePathChanges(this.paths, input[this.inputIndex][1], startTime);
+            this.inputIndex++;
+        }
+
+        this.stepIndex++;
+        return { cuttingPaths: this.paths, now: this.now, view: this.view };
+    }
+}
+
+/**
+ * 编码两步之间的路径变化，没有变化时返回 null
+ */
+function encodePathChanges(previousPaths, paths, startTime) {
+    const unchanged = paths.length === previousPaths.length &&
+        paths.every((path, index) => path.hand === previousPaths[index].hand &&
+            path.width === previousPaths[index].width &&
+            samePoints(path.points, previousPaths[index].points));
+    if (unchanged) return null;
+
+    return paths.map(path => {
+        const previous = previousPaths.find(candidate => candidate.hand === path.hand);
+        const previousPoints = previous ? previous.points : [];
+        const drop = findOverlapStart(previousPoints, path.points);
+        const kept = previousPoints.length - drop;
+
+        const flat = [];
+        path.points.slice(kept).forEach(point => {
+            flat.push(point.x, point.y, point.timestamp === undefined ? null : point.timestamp - startTime);
+        });
+        return path.width === undefined ? [path.hand, drop, flat] : [path.hand, drop, flat, path.width];
+    });
+}
+
+/**
+ * 按编码的变化更新路径
+ */
+function decodePathChanges(previousPaths, changes, startTime) {
+    return changes.map(([hand, drop, flat, width]) => {
+        const previous = previousPaths.find(candidate => candidate.hand === hand);
+        const points = previous ? previous.points.slice(drop) : [];
+
+        for (let i = 0; i < flat.length; i += 3) {
+            points.push({
+                x: flat[i],
+                y: flat[i + 1],
+                timestamp: flat[i + 2] === null ? undefined : flat[i + 2] + startTime
+            });
+        }
+        return width === undefined ? { hand, points } : { hand, points, width };
+    });
+}
+
+/**
+ * 找到上一步的路径中，从哪个下标开始的尾部与新路径的开头相同
+ * 找不到时返回 previous.length（全部丢弃）
+ */
+function findOverlapStart(previous, points) {
+    for (let start = 0; start < previous.length; start++) {
+        const overlap = previous.length - start;
+        if (overlap > points.length) continue;
+
+        let matches = true;
+        for (let i = 0; i < overlap; i++) {
+            if (!samePoint(previous[start + i], points[i])) {
+                matches = false;
+                break;
+            }
+        }
+        if (matches) return start;
+    }
+    return previous.length;
+}
+
+function samePoints(a, b) {
+    return a.length === b.length && a.every((point, index) => samePoint(point, b[index]));
+}
+
+function samePoint(a, b) {
+    return a.x === b.x && a.y === b.y && a.timestamp === b.timestamp;
+}
+
+/**
+ * 比较回放产生的事件与录像中的事件
+ * @returns {number} 第一个不一致的下标，完全一致时返回 -1
+ */
+export function findEventMismatch(expected, actual) {
+    const length = Math.max(expected.length, actual.length);
+    for (let i = 0; i < length; i++) {
+        if (JSON.stringify(expected[i]) !== JSON.stringify(actual[i])) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * 录像转为 JSON 文本
+ */
+export function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+/**
+ * 解析并校验录像 JSON 文本
+ * 格式不正确时抛出错误
+ */
+export function parseReplay(text) {
+    const fail = (message) => {
+        throw new Error(`Replay file: ${message}`);
+    };
+
+    let replay;
+    try {
+        replay = JSON.parse(text);
+    } catch (error) {
+        fail(`not valid JSON (${error.message})`);
+    }
+
+    if (!replay || replay.format !== REPLAY_FORMAT) {
+        fail(`"format" must be "${REPLAY_FORMAT}"`);
+    }
+    if (replay.version !== REPLAY_VERSION) {
+        fail(`unsupported version ${replay.version} (expected ${REPLAY_VERSION})`);
+    }
+
+    ['seed', 'spawnRate', 'minBladeSpeed', 'fixedStep', 'startTime'].forEach(field => {
+        if (typeof replay[field] !== 'number' || !Number.isFinite(replay[field])) {
+            fail(`"${field}" must be a number`);
+        }
+    });
+    if (typeof replay.mode !== 'string') {
+        fail('"mode" must be a string');
+    }
+    if (!replay.result || typeof replay.result.score !== 'number') {
+        fail('"result.score" must be a number');
+    }
+    ['views', 'clock', 'input', 'events'].forEach(field => {
+        if (!Array.isArray(replay[field])) {
+            fail(`"${field}" must be an array`);
+        }
+    });
+    if (replay.views.length === 0 || replay.views[0][0] !== 0) {
+        fail('"views" must start at step 0');
+    }
+
+    return replay;
+}
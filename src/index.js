@@ -1,10 +1,36 @@
 import { ModernHandTracker } from './components/ModernHandTracker.js';
 import { TrailRenderer } from './components/TrailRenderer.js';
+import { InputManager } from './input/InputManager.js';
+import { HandInputSource } from './input/HandInputSource.js';
+import { PointerInputSource } from './input/PointerInputSource.js';
+import { GestureClassifier } from './input/GestureClassifier.js';
+import { HandFilterPanel } from './components/HandFilterPanel.js';
+import { loadHandFilterSettings, saveHandFilterSettings } from './config/handFilter.js';
+import { loadGestureBindings, getGestureAction } from './config/gestures.js';
 import { GameScene } from './components/GameScene.js';
 import { ScoreSystem } from './components/ScoreSystem.js';
+import { PowerUpSystem } from './components/PowerUpSystem.js';
 import { AudioManager } from './utils/AudioManager.js';
 import { SystemInfo } from './utils/SystemInfo.js';
-import { getOptimalPerformanceConfig, applyPerformanceConfig, getCurrentPerformanceConfig, PerformanceMonitor } from './config/performance.js';
+import { FrameScheduler } from './utils/FrameScheduler.js';
+import { ReplayRecorder, ReplayPlayer, serializeReplay, parseReplay, findEventMismatch } from './core/replay.js';
+import { createGameMode } from './modes/index.js';
+import { getFruitDefinition } from './config/fruits.js';
+import { CAMERA_RESOLUTIONS, loadCameraSettings, saveCameraSettings } from './config/camera.js';
+import { getOptimalPerformanceConfig, applyPerformanceConfig, getCurrentPerformanceConfig, PerformanceMonitor, AdaptiveQualityController } from './config/performance.js';
+
+// 暂停界面上显示的暂停原因
+const PAUSE_MESSAGES = {
+    manual: '',
+    hidden: 'Paused because the tab was hidden.',
+    blur: 'Paused because the window lost focus.',
+    camera: 'Camera disconnected. Reconnecting...',
+    'no-hands': 'No hands detected for a while.',
+    gesture: 'Paused by hand gesture.'
+};
+
+// 每个模式的最佳一局录像保存在 localStorage 中，用于幽灵赛跑
+const BEST_REPLAY_STORAGE_KEY = 'fruit-ninja-best-replay';
 
 /**
  * 游戏主类
@@ -28,19 +54,70 @@ class FruitCuttingGame {
         this.restartButton = document.getElementById('restart-button');
         this.scoreValueEl = document.getElementById('score-value');
         this.timeRemainingEl = document.getElementById('time-remaining');
+        this.livesValueEl = document.getElementById('lives-value');
+        this.powerUpsEl = document.getElementById('power-ups');
         this.finalScoreValueEl = document.getElementById('final-score-value');
+        this.finalSeedValueEl = document.getElementById('final-seed-value');
         this.countdownEl = document.getElementById('countdown');
         this.musicToggleBtn = document.getElementById('music-toggle');
+        this.modeButtons = Array.from(document.querySelectorAll('.mode-button'));
+        this.modeDescriptionEl = document.getElementById('mode-description');
+        this.resumeButton = document.getElementById('resume-button');
+        this.pauseReasonEl = document.getElementById('pause-reason');
+        this.replayButtons = Array.from(document.querySelectorAll('[data-replay-action]'));
+        this.replayFileInput = document.getElementById('replay-file-input');
+        this.replayStatusEl = document.getElementById('replay-status');
+        this.replayBadgeEl = document.getElementById('replay-badge');
+        this.modelProgressEl = document.getElementById('model-progress');
+        this.cameraDeviceSelect = document.getElementById('camera-device');
+        this.cameraResolutionSelect = document.getElementById('camera-resolution');
+        this.cameraPickerMessageEl = document.getElementById('camera-picker-message');
+
+        // 所有 DOM 事件监听共用一个 AbortController，dispose() 时一次性移除
+        this.listenerController = new AbortController();
+        this.isDisposed = false;
 
         // 游戏组件 - Modern architecture
         this.handTracker = new ModernHandTracker();
+        this.handTracker.onCameraEnded = () => this.onCameraLost();
+        this.handTracker.onLoadProgress = (progress) => this.updateModelProgress(progress);
+        // 上次选择的摄像头和分辨率
+        this.handTracker.setCamera(loadCameraSettings());
+        // 上次调好的手势平滑参数；调试模式下可用面板实时调整
+        this.handTracker.setFilterSettings(loadHandFilterSettings());
+        this.handFilterPanel = new HandFilterPanel({
+            getSettings: () => this.handTracker.getFilterSettings(),
+            onChange: (hand, params) => {
+                this.handTracker.setFilterSettings({ [hand]: params });
+                saveHandFilterSettings(this.handTracker.getFilterSettings());
+            }
+        });
+        this.isSwitchingCamera = false;
         this.trailRenderer = new TrailRenderer(this.handCanvasElement);
+        // 输入：手势和鼠标/触摸/手写笔同时可用，合并后的笔画作为切割路径和刀光
+        this.inputManager = new InputManager();
+        this.handInput = this.inputManager.addSource(new HandInputSource(this.handTracker));
+        this.pointerInput = this.inputManager.addSource(new PointerInputSource(this.canvasElement));
+        // 手势命令：张开手掌暂停、握拳继续、捏合确认等（映射见 config/gestures.js）
+        this.gestureClassifier = new GestureClassifier();
+        this.gestureBindings = loadGestureBindings();
         this.gameScene = null;
         this.scoreSystem = null;
+        this.powerUps = null;
         this.audioManager = null;
         this.systemInfo = null;
         this.performanceMonitor = new PerformanceMonitor();
 
+        // 唯一的帧调度器：固定步长推进游戏逻辑和倒计时，每帧插值渲染（渲染帧率上限来自性能预设）
+        this.scheduler = new FrameScheduler({ targetFps: perfConfig.targetFps });
+
+        // 自适应画质：游戏中帧率持续低于目标时逐级降低画质，恢复后再升回
+        this.adaptiveQuality = new AdaptiveQualityController({
+            monitor: this.performanceMonitor,
+            config: perfConfig,
+            onChange: (level) => this.applyQualityLevel(level)
+        });
+
         // 游戏状态
         this.gameState = 'idle'; // idle, starting, playing, paused, gameover, restarting
         this.startCountdown = 0;
@@ -50,8 +127,34 @@ class FruitCuttingGame {
         this.restartCountdown = 0;
         this.restartCountdownTimer = null;
 
-        // Performance tracking
-        this.lastFrameTime = null;
+        // 自动暂停：切到后台、窗口失焦、摄像头断开、长时间看不到手
+        this.pauseReason = null;
+        this.resumeHoverStart = null; // 手悬停在继续按钮上的起始时间
+        this.resumeDwellMs = 1500;
+        this.noHandsPauseMs = 5000;
+        this.lastInputTime = 0; // 最近一次看到手或鼠标/触摸输入的时间
+
+        // 游戏模式：通过 URL 参数 ?mode=classic 预选，开始界面上可切换
+        this.gameMode = createGameMode(new URLSearchParams(window.location.search).get('mode'));
+        this.modeHoverStart = {}; // 手悬停在各模式按钮上的起始时间
+        this.modeSelectDwellMs = 1000;
+
+        // 录像：每局录制输入和事件，结束后可回放和导出
+        this.fixedSeed = null; // URL 参数 ?seed 指定的种子
+        this.defaultMinBladeSpeed = null;
+        this.replayRecorder = null;
+        this.lastReplay = null; // 最近一局（或最近导入、回放的）录像
+        this.importedReplay = null;
+        // 回放中：按录像逐步提供输入
+        this.replayPlayer = null;
+        this.replayView = null;
+        this.replayPaths = [];
+        this.replayEvents = []; // 回放产生的事件，结束时与录像比对
+        // 幽灵赛跑：同一种子下叠加之前最佳一局的刀光
+        this.ghostEnabled = false;
+        this.ghostPlayer = null;
+        this.ghostView = null;
+        this.ghostPaths = [];
 
         // 初始化
         this.init();
@@ -143,30 +246,71 @@ class FruitCuttingGame {
         // 初始化音效管理器
         this.audioManager = new AudioManager();
 
-        // 初始化计分系统
-        this.scoreSystem = new ScoreSystem();
+        // 初始化计分系统：规则集由游戏模式提供
+        this.scoreSystem = new ScoreSystem(this.gameMode.ruleset);
         this.scoreSystem.onScoreChange = (score) => {
             this.updateScoreDisplay(score);
         };
         this.scoreSystem.onTimeChange = (time) => {
             this.updateTimeDisplay(time);
+            // 最后 10 秒画面加暗角提示
+            this.gameScene.setLowTimeWarning(this.gameState === 'playing' && time <= 10);
+        };
+        this.scoreSystem.onLivesChange = (lives) => {
+            this.updateLivesDisplay(lives);
+        };
+        this.scoreSystem.onCombo = (combo) => {
+            this.showComboPopup(combo);
         };
         this.scoreSystem.onGameOver = (data) => {
             this.showGameOver(data);
         };
 
+        // 初始化道具效果系统
+        this.powerUps = new PowerUpSystem();
+        this.powerUps.onActivate = (type, duration) => {
+            this.applyPowerUp(type, duration);
+        };
+        this.powerUps.onExpire = (type) => {
+            this.removePowerUp(type);
+        };
+        this.powerUps.onChange = (active) => {
+            this.updatePowerUpDisplay(active);
+        };
+
         // 初始化手势识别 - Modern approach
         // Note: handTracker is already initialized in constructor
+        this.handTracker.setMaxTrailLength(getCurrentPerformanceConfig().maxTrailLength);
+        this.pointerInput.setMaxTrailLength(getCurrentPerformanceConfig().maxTrailLength);
 
         // 初始化游戏场景
         this.gameScene = new GameScene(
             this.canvasElement,
-            (fruitType) => this.onFruitCut(fruitType),
-            () => this.onBombCut()
+            (fruitType, cutInfo) => this.onFruitCut(fruitType, cutInfo),
+            () => this.onBombCut(),
+            (fruitType) => this.onFruitMissed(fruitType)
         );
+        this.defaultMinBladeSpeed = this.gameScene.simulation.minBladeSpeed;
+
+        this.setGameMode(this.gameMode.id);
+
+        // 通过 URL 参数 ?seed=xxx 固定生成种子，用于复现问题、对战和挑战赛
+        const seedParam = new URLSearchParams(window.location.search).get('seed');
+        if (seedParam) {
+            this.fixedSeed = seedParam;
+            this.gameScene.setSeed(seedParam);
+            console.log('🎲 Using fixed spawn seed:', this.gameScene.getSeed());
+        }
 
         // 设置事件监听
         this.setupEventListeners();
+        this.refreshCameraPicker();
+
+        // 启动主循环：开始游戏前不推进游戏逻辑
+        this.scheduler.onFixedUpdate((deltaTime) => this.fixedUpdate(deltaTime));
+        this.scheduler.onFrame((alpha, frameDeltaTime) => this.animate(alpha, frameDeltaTime));
+        this.scheduler.pause();
+        this.startMainLoop();
 
         // 初始化摄像头
         await this.initializeCamera();
@@ -185,14 +329,18 @@ class FruitCuttingGame {
             this.handTracker.setDetectionIntervalMs(detectionInterval);
             
             const success = await this.handTracker.initialize(this.videoElement);
+            // 初始化期间游戏已被销毁
+            if (this.isDisposed) return;
             console.log('🎮 FruitCuttingGame: HandTracker.initialize() returned:', success);
 
             if (success) {
                 this.systemInfo.updateCameraStatus('Connected');
+                // 获得摄像头权限后才能读到设备名称
+                this.refreshCameraPicker();
+                if (this.pauseReason === 'camera' && this.pauseReasonEl) {
+                    this.pauseReasonEl.textContent = 'Camera reconnected.';
+                }
                 console.log('🎮 FruitCuttingGame: Camera initialization SUCCESS');
-                
-                // Start the main game loop
-                this.startMainLoop();
             } else {
                 throw new Error('HandTracker initialization returned false');
             }
@@ -201,6 +349,7 @@ class FruitCuttingGame {
             
             const errorMsg = this.handTracker.getLastError() || initError.message;
             this.systemInfo.updateCameraStatus('Failed');
+            this.updateModelProgress({ stage: 'failed' });
 
             console.error('Camera initialization failed on Aliyun ESA:', errorMsg);
 
@@ -228,7 +377,7 @@ class FruitCuttingGame {
             } else if (errorMsg.includes('HTTPS')) {
                 userMessage += 'This site requires HTTPS for camera access.';
             } else if (errorMsg.includes('MediaPipe') || errorMsg.includes('model')) {
-                userMessage += `MediaPipe initialization failed. This might be a CDN or network issue.\n\n` +
+                userMessage += `MediaPipe initialization failed: the hand tracking files could not be loaded.\n\n` +
                     'The game will work with mouse/touch controls instead.';
             } else {
                 userMessage += `Error: ${errorMsg}\n\n` +
@@ -245,6 +394,138 @@ class FruitCuttingGame {
         }
     }
 
+    /**
+     * 在开始界面显示手势识别运行时和模型的加载进度，加载完成或失败后隐藏
+     * @param {{ stage: string, source?: string, loaded?: number, total?: number|null }} progress
+     */
+    updateModelProgress({ stage, source, loaded = 0, total = null }) {
+        if (!this.modelProgressEl) return;
+
+        const isLoading = stage === 'runtime' || stage === 'model';
+        this.modelProgressEl.classList.toggle('hidden', !isLoading);
+        if (!isLoading) return;
+
+        const via = source === 'cdn' ? ' (CDN)' : '';
+        const labelEl = this.modelProgressEl.querySelector('.model-progress-label');
+        const barEl = this.modelProgressEl.querySelector('.model-progress-bar');
+        let label = `Loading hand tracking${via}...`;
+        let percent = 0;
+
+        if (stage === 'model') {
+            const megabytes = (loaded / (1024 * 1024)).toFixed(1);
+            if (total) {
+                percent = Math.round((loaded / total) * 100);
+                label = `Downloading hand model${via}: ${percent}% (${megabytes} MB)`;
+            } else {
+                label = `Downloading hand model${via}: ${megabytes} MB`;
+            }
+        }
+
+        if (labelEl) {
+            labelEl.textContent = label;
+        }
+        if (barEl) {
+            barEl.style.width = `${percent}%`;
+        }
+    }
+
+    /**
+     * 更新摄像头选择列表，选中正在使用（或已保存）的摄像头
+     */
+    async refreshCameraPicker() {
+        if (!this.cameraDeviceSelect || !this.cameraResolutionSelect) return;
+
+        let cameras = [];
+        try {
+            cameras = await this.handTracker.listCameras();
+        } catch (error) {
+            console.warn('Camera list unavailable:', error);
+        }
+        if (this.isDisposed) return;
+
+        const { deviceId, resolution } = this.handTracker.cameraSettings;
+        const selectedId = this.handTracker.activeDeviceId || deviceId;
+
+        const deviceOptions = cameras.length > 0
+            ? cameras.map(camera => [camera.deviceId, camera.label])
+            : [['', 'Default camera']];
+        this.fillSelect(this.cameraDeviceSelect, deviceOptions);
+        this.cameraDeviceSelect.value = cameras.some(camera => camera.deviceId === selectedId)
+            ? selectedId
+            : this.cameraDeviceSelect.options[0].value;
+
+        this.fillSelect(this.cameraResolutionSelect, CAMERA_RESOLUTIONS.map(option => [option.id, option.label]));
+        this.cameraResolutionSelect.value = resolution;
+
+        this.cameraDeviceSelect.disabled = this.isSwitchingCamera || cameras.length < 2;
+        this.cameraResolutionSelect.disabled = this.isSwitchingCamera;
+    }
+
+    /**
+     * 用 [value, label] 列表替换下拉框的选项（设备名称来自系统，不拼接 HTML）
+     */
+    fillSelect(select, options) {
+        select.replaceChildren(...options.map(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            return option;
+        }));
+    }
+
+    /**
+     * 切换摄像头或分辨率并记住选择；打不开时恢复原来的摄像头
+     * @param {{ deviceId?: string|null, resolution?: string }} settings
+     */
+    async changeCamera(settings) {
+        if (this.isSwitchingCamera) return;
+
+        this.isSwitchingCamera = true;
+        this.setCameraPickerMessage('Switching camera...');
+        this.refreshCameraPicker();
+
+        const success = await this.handTracker.setCamera(settings);
+        if (this.isDisposed) return;
+
+        this.isSwitchingCamera = false;
+        if (success) {
+            saveCameraSettings(this.handTracker.cameraSettings);
+            this.setCameraPickerMessage('');
+        } else {
+            this.setCameraPickerMessage(`Could not switch camera: ${this.handTracker.getLastError()}`);
+        }
+        this.lastInputTime = performance.now();
+        this.refreshCameraPicker();
+    }
+
+    /**
+     * 切换到列表中的下一个摄像头（C 键）
+     */
+    async cycleCamera() {
+        let cameras;
+        try {
+            cameras = await this.handTracker.listCameras();
+        } catch (error) {
+            console.warn('Camera list unavailable:', error);
+            return;
+        }
+        if (this.isDisposed || cameras.length < 2) return;
+
+        const index = cameras.findIndex(camera => camera.deviceId === this.handTracker.activeDeviceId);
+        const next = cameras[(index + 1) % cameras.length];
+        console.log('📷 Switching camera to', next.label);
+        this.changeCamera({ deviceId: next.deviceId });
+    }
+
+    /**
+     * 在摄像头选择下方显示切换状态
+     */
+    setCameraPickerMessage(message) {
+        if (this.cameraPickerMessageEl) {
+            this.cameraPickerMessageEl.textContent = message;
+        }
+    }
+
     /**
      * Show camera error message to user
      */
@@ -316,9 +597,8 @@ class FruitCuttingGame {
 
         document.getElementById('close-error').addEventListener('click', () => {
             document.body.removeChild(errorOverlay);
-            // Continue with game but show warning and enable fallback controls
+            // Continue with game (mouse/touch/pen input is always on)
             this.systemInfo.updateCameraStatus('Mouse/Touch Mode');
-            this.setupFallbackControls();
             
             // Show instruction for fallback mode
             setTimeout(() => {
@@ -356,6 +636,8 @@ class FruitCuttingGame {
      */
     setupEventListeners() {
         // 空格键暂停/继续
+        const { signal } = this.listenerController;
+
         document.addEventListener('keydown', (e) => {
             if (e.code === 'Space') {
                 e.preventDefault();
@@ -368,10 +650,11 @@ class FruitCuttingGame {
                 this.performanceMonitor.toggle();
             }
             
-            // D键切换调试模式（显示手势位置）
+            // D键切换调试模式（显示手势位置和平滑参数面板）
             if (e.code === 'KeyD') {
                 e.preventDefault();
                 const debugMode = this.trailRenderer.toggleDebugMode();
+                this.handFilterPanel.setVisible(debugMode);
                 console.log('🔍 Debug mode:', debugMode ? 'ON - 显示手势位置圆圈' : 'OFF');
             }
             
@@ -380,76 +663,214 @@ class FruitCuttingGame {
                 e.preventDefault();
                 this.adjustCameraBrightness();
             }
-        });
+
+            // C键切换到下一个摄像头
+            if (e.code === 'KeyC') {
+                e.preventDefault();
+                this.cycleCamera();
+            }
+
+            // Esc 键结束回放
+            if (e.code === 'Escape' && this.gameState === 'replaying') {
+                e.preventDefault();
+                this.stopReplay();
+            }
+        }, { signal });
+
+        // 切到后台或窗口失焦时自动暂停
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pauseGame('hidden');
+            }
+        }, { signal });
+        window.addEventListener('blur', () => {
+            this.pauseGame('blur');
+        }, { signal });
+
+        // 继续按钮（鼠标/触摸点击；手势悬停见 checkResumeButtonInteraction）
+        if (this.resumeButton) {
+            this.resumeButton.addEventListener('click', () => {
+                this.resumeGame();
+            }, { signal });
+        }
 
         // 音乐切换按钮
         if (this.musicToggleBtn) {
             this.musicToggleBtn.addEventListener('click', () => {
                 const isEnabled = this.audioManager.toggleMusic();
                 this.musicToggleBtn.textContent = isEnabled ? '🔊' : '🔇';
-            });
+            }, { signal });
         }
 
+        // 模式按钮（鼠标/触摸点击也可选择）
+        this.modeButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.setGameMode(button.dataset.mode);
+            }, { signal });
+        });
+
         // 重新开始按钮
         if (this.restartButton) {
             this.restartButton.addEventListener('click', () => {
                 this.restartGame();
-            });
+            }, { signal });
+        }
+
+        // 摄像头选择：随时切换，无需刷新页面
+        if (this.cameraDeviceSelect) {
+            this.cameraDeviceSelect.addEventListener('change', () => {
+                this.changeCamera({ deviceId: this.cameraDeviceSelect.value || null });
+            }, { signal });
+        }
+        if (this.cameraResolutionSelect) {
+            this.cameraResolutionSelect.addEventListener('change', () => {
+                this.changeCamera({ resolution: this.cameraResolutionSelect.value });
+            }, { signal });
         }
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            // 插拔 USB 摄像头时更新列表
+            navigator.mediaDevices.addEventListener('devicechange', () => {
+                this.refreshCameraPicker();
+            }, { signal });
+        }
+
+        // 录像按钮：回放、导出、导入、幽灵赛跑
+        this.replayButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.onReplayAction(button.dataset.replayAction);
+            }, { signal });
+        });
+
+        if (this.replayFileInput) {
+            this.replayFileInput.addEventListener('change', () => {
+                const [file] = this.replayFileInput.files;
+                this.replayFileInput.value = '';
+                if (file) {
+                    this.importReplay(file);
+                }
+            }, { signal });
+        }
+
+        this.updateReplayButtons();
     }
 
     /**
      * Start the main game loop
      */
     startMainLoop() {
-        this.animate();
+        this.scheduler.start();
     }
 
     /**
-     * Main animation loop with performance monitoring
+     * Per-frame update with performance monitoring: input, trails and interpolated rendering
+     * @param {number} alpha - interpolation factor between the last two fixed steps
+     * @param {number} frameDeltaTime - seconds since the previous frame (drives post-processing fades)
      */
-    animate = () => {
+    animate(alpha, frameDeltaTime) {
         const frameStart = this.performanceMonitor.startFrame();
-        requestAnimationFrame(this.animate);
 
         // Update system info FPS
         this.systemInfo.updateFPS();
 
-        // Gesture Detection with timing
-        const gestureStart = performance.now();
-        const result = this.handTracker.detectHands(performance.now());
-        this.performanceMonitor.recordGestureDetection(performance.now() - gestureStart);
+        // Hands, mouse, touch and pen are merged into one set of strokes
+        this.updateInput();
 
-        // Process hand detection results
-        if (result && result.landmarks && result.landmarks.length > 0) {
-            this.onHandsDetected(result);
-        } else {
-            // No hands detected - clear trails
-            this.trailRenderer.clear();
-            
-            // Update game scene with empty cutting paths
-            this.gameScene.updateCuttingPaths([]);
-        }
+        // Replay and ghost blades are drawn over (or instead of) the live trails
+        this.drawReplayTrails();
 
-        // Update trail rendering
-        const trails = this.handTracker.trails;
-        this.trailRenderer.drawTrails(trails);
+        // Render the 3D scene
+        const renderStart = performance.now();
+        this.gameScene.render(alpha, frameDeltaTime);
+        this.performanceMonitor.recordRender(performance.now() - renderStart);
 
         // Performance monitoring
         if (frameStart !== undefined) {
             this.performanceMonitor.endFrame(frameStart);
         }
+
+        if (this.gameState === 'playing') {
+            this.adaptiveQuality.update(performance.now());
+        }
+    }
+
+    /**
+     * Apply a runtime quality level chosen by the adaptive quality controller
+     */
+    applyQualityLevel(level) {
+        this.gameScene.setPixelRatio(level.pixelRatio);
+        this.gameScene.particleSystem.setBurstSize(level.particleCount);
+        this.gameScene.setPostProcessingEnabled(level.enablePostProcessing);
+        this.handTracker.setDetectionIntervalMs(1000 / level.gestureDetectionFps);
+    }
+
+    /**
+     * Fixed-step game logic: physics, spawning, collisions, timer and power-ups share one clock
+     */
+    fixedUpdate(deltaTime) {
+        if (this.gameState !== 'playing' && this.gameState !== 'replaying') return;
+
+        const updateStart = performance.now();
+
+        // 本步输入：游戏中录制手势/鼠标的切割路径，回放时来自录像
+        const input = this.gameState === 'replaying' ? this.nextReplayInput() : this.recordInput();
+        if (!input) {
+            // 录像已播放完
+            this.showGameOver({ score: this.scoreSystem.getScore(), reason: 'replay' });
+            return;
+        }
+
+        this.gameScene.fixedUpdate(deltaTime, input);
+
+        // 更新计分系统（包含倒计时）
+        this.scoreSystem.update(deltaTime);
+
+        // 更新道具剩余时间（暂停时不调用，效果随之冻结）
+        this.powerUps.update(deltaTime);
+
+        this.advanceGhost();
+
+        this.performanceMonitor.recordGameUpdate(performance.now() - updateStart);
     }
 
     /**
-     * Handle hand detection results
+     * Update every input source and feed the merged strokes to the game scene and the trails
      */
-    onHandsDetected(result) {
-        // Get cutting paths from hand tracker
-        const cuttingPaths = this.handTracker.getCuttingPaths();
-        this.gameScene.updateCuttingPaths(cuttingPaths);
+    updateInput() {
+        const now = performance.now();
+        const strokes = this.inputManager.update(now);
+        if (this.handTracker.isInitialized) {
+            this.performanceMonitor.recordGestureDetection(this.handInput.detectionTime);
+        }
+
+        this.gameScene.updateCuttingPaths(strokes);
+        this.trailRenderer.drawStrokes(strokes);
+
+        if (this.handInput.hasHands()) {
+            this.onHandsDetected();
+        }
+        if (this.handTracker.isInitialized) {
+            this.updateGestures(now);
+        }
+        if (this.inputManager.isActive()) {
+            this.lastInputTime = now;
+        }
 
+        // 游戏中长时间既看不到手、也没有鼠标/触摸输入：自动暂停
+        if (this.handTracker.isInitialized && this.gameState === 'playing' &&
+            now - this.lastInputTime > this.noHandsPauseMs) {
+            this.pauseGame('no-hands');
+        }
+    }
+
+    /**
+     * Hands are visible: hovering over buttons drives the menus
+     */
+    onHandsDetected() {
         // Check button interactions based on game state
+        if (this.gameState === 'idle') {
+            this.checkModeButtonInteraction();
+        }
+
         if (this.gameState === 'idle' || this.gameState === 'starting') {
             this.checkStartButtonInteraction();
         }
@@ -457,6 +878,107 @@ class FruitCuttingGame {
         if (this.gameState === 'gameover' || this.gameState === 'restarting') {
             this.checkRestartButtonInteraction();
         }
+
+        if (this.gameState === 'paused') {
+            this.checkResumeButtonInteraction();
+        }
+    }
+
+    /**
+     * 识别手势，并执行当前界面上绑定的命令
+     */
+    updateGestures(now) {
+        const events = this.gestureClassifier.update(this.handTracker.hands, now);
+
+        events.forEach(({ hand, gesture, confidence }) => {
+            const action = getGestureAction(this.gestureBindings, this.gameState, gesture);
+            if (!action) return;
+
+            console.log(`✋ Gesture ${gesture} (${hand} hand, ${Math.round(confidence * 100)}%): ${action}`);
+            this.runGestureAction(action);
+        });
+    }
+
+    /**
+     * 执行手势命令
+     * @param {string} action - pause、resume、confirm 或 restart
+     */
+    runGestureAction(action) {
+        switch (action) {
+            case 'pause':
+                this.pauseGame('gesture');
+                break;
+            case 'resume':
+                this.resumeGame();
+                break;
+            case 'confirm':
+                // 与手悬停在当前界面的按钮上倒计时结束的效果相同
+                if (this.gameState === 'idle' || this.gameState === 'starting') {
+                    this.cancelMenuCountdowns();
+                    this.startGame();
+                } else if (this.gameState === 'gameover' || this.gameState === 'restarting') {
+                    this.cancelMenuCountdowns();
+                    this.restartGame();
+                } else if (this.gameState === 'paused') {
+                    this.resumeGame();
+                }
+                break;
+            case 'restart':
+                // 放弃当前一局（或结束界面），立即开始新的一局
+                if (this.gameState === 'paused' || this.gameState === 'gameover' || this.gameState === 'restarting') {
+                    this.cancelMenuCountdowns();
+                    this.restartGame();
+                    this.startGame();
+                }
+                break;
+        }
+    }
+
+    /**
+     * 取消开始和重新开始按钮的悬停倒计时
+     */
+    cancelMenuCountdowns() {
+        clearInterval(this.startCountdownTimer);
+        clearInterval(this.restartCountdownTimer);
+        if (this.startButton) {
+            this.startButton.classList.remove('active');
+        }
+        if (this.countdownEl) {
+            this.countdownEl.textContent = '';
+        }
+        if (this.restartButton) {
+            this.restartButton.classList.remove('active');
+            this.clearRestartCountdown();
+        }
+    }
+
+    /**
+     * Check resume button interaction - hold a hand over RESUME for resumeDwellMs to continue
+     */
+    checkResumeButtonInteraction() {
+        if (!this.resumeButton) return;
+
+        const rect = this.resumeButton.getBoundingClientRect();
+        const isHandOver = this.handTracker.isHandInArea(
+            rect.left,
+            rect.top,
+            rect.width,
+            rect.height
+        );
+
+        if (!isHandOver) {
+            this.resumeHoverStart = null;
+            this.resumeButton.classList.remove('active');
+            return;
+        }
+
+        const now = performance.now();
+        if (this.resumeHoverStart === null) {
+            this.resumeHoverStart = now;
+            this.resumeButton.classList.add('active');
+        } else if (now - this.resumeHoverStart >= this.resumeDwellMs) {
+            this.resumeGame();
+        }
     }
 
     /**
@@ -500,6 +1022,39 @@ class FruitCuttingGame {
         }
     }
 
+    /**
+     * Check mode button interaction - hold a hand over a mode for modeSelectDwellMs to pick it
+     */
+    checkModeButtonInteraction() {
+        const now = performance.now();
+
+        this.modeButtons.forEach(button => {
+            const mode = button.dataset.mode;
+            const rect = button.getBoundingClientRect();
+            const isHandOver = this.handTracker.isHandInArea(
+                rect.left,
+                rect.top,
+                rect.width,
+                rect.height
+            );
+
+            if (!isHandOver || mode === this.gameMode.id) {
+                delete this.modeHoverStart[mode];
+                button.classList.remove('active');
+                return;
+            }
+
+            if (this.modeHoverStart[mode] === undefined) {
+                this.modeHoverStart[mode] = now;
+                button.classList.add('active');
+            } else if (now - this.modeHoverStart[mode] >= this.modeSelectDwellMs) {
+                delete this.modeHoverStart[mode];
+                button.classList.remove('active');
+                this.setGameMode(mode);
+            }
+        });
+    }
+
     /**
      * Check restart button interaction using modern hand tracker
      */
@@ -541,76 +1096,6 @@ class FruitCuttingGame {
         }
     }
 
-    /**
-     * Setup fallback mouse/touch controls when camera is not available
-     */
-    setupFallbackControls() {
-        let isMouseDown = false;
-        let mouseTrail = [];
-        const maxTrailLength = 25;
-
-        const addMousePoint = (x, y) => {
-            mouseTrail.push({ x, y, timestamp: Date.now() });
-            if (mouseTrail.length > maxTrailLength) {
-                mouseTrail.shift();
-            }
-
-            // Update cutting paths for game scene
-            if (mouseTrail.length >= 2) {
-                this.gameScene.updateCuttingPaths([{
-                    points: mouseTrail.map(p => ({ x: p.x, y: p.y })),
-                    hand: 'mouse'
-                }]);
-            }
-        };
-
-        const clearMouseTrail = () => {
-            mouseTrail = [];
-            this.gameScene.updateCuttingPaths([]);
-        };
-
-        // Mouse events
-        this.canvasElement.addEventListener('mousedown', (e) => {
-            isMouseDown = true;
-            const rect = this.canvasElement.getBoundingClientRect();
-            addMousePoint(e.clientX - rect.left, e.clientY - rect.top);
-        });
-
-        this.canvasElement.addEventListener('mousemove', (e) => {
-            if (isMouseDown) {
-                const rect = this.canvasElement.getBoundingClientRect();
-                addMousePoint(e.clientX - rect.left, e.clientY - rect.top);
-            }
-        });
-
-        this.canvasElement.addEventListener('mouseup', () => {
-            isMouseDown = false;
-            setTimeout(clearMouseTrail, 300); // Clear trail after 300ms
-        });
-
-        // Touch events for mobile
-        this.canvasElement.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            const rect = this.canvasElement.getBoundingClientRect();
-            const touch = e.touches[0];
-            addMousePoint(touch.clientX - rect.left, touch.clientY - rect.top);
-        });
-
-        this.canvasElement.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            const rect = this.canvasElement.getBoundingClientRect();
-            const touch = e.touches[0];
-            addMousePoint(touch.clientX - rect.left, touch.clientY - rect.top);
-        });
-
-        this.canvasElement.addEventListener('touchend', (e) => {
-            e.preventDefault();
-            setTimeout(clearMouseTrail, 300);
-        });
-
-        console.log('Fallback mouse/touch controls enabled');
-    }
-
     /**
      * 更新倒计时显示
      */
@@ -663,36 +1148,38 @@ class FruitCuttingGame {
         this.pauseScreen.classList.add('hidden');
         this.gameOverScreen.classList.add('hidden');
 
+        // 幽灵赛跑：使用幽灵录像的种子和生成参数
+        const ghost = this.ghostEnabled ? this.getGhostReplay() : null;
+        this.applyRunSettings(ghost);
+        this.ghostPlayer = ghost ? new ReplayPlayer(ghost) : null;
+        this.ghostPaths = [];
+
+        this.powerUps.clear();
         this.scoreSystem.start();
         this.gameScene.reset();
         this.gameScene.setPaused(false);
 
-        // 重置时间帧用于计算deltaTime
-        this.lastFrameTime = null;
+        this.replayRecorder = new ReplayRecorder({
+            seed: this.gameScene.getSeed(),
+            mode: this.gameMode.id,
+            spawnRate: this.gameScene.simulation.spawnRate,
+            minBladeSpeed: this.gameScene.simulation.minBladeSpeed,
+            fixedStep: this.scheduler.fixedStep,
+            view: this.gameScene.getViewSize()
+        });
 
-        // 开始游戏循环
-        this.gameLoop();
+        this.scheduler.resume();
+        this.lastInputTime = performance.now();
     }
 
     /**
-     * 游戏循环
+     * 设置下一局的种子和生成参数：回放和幽灵赛跑使用录像中的设置，否则恢复默认设置
+     * @param {object|null} replay
      */
-    gameLoop() {
-        if (this.gameState !== 'playing') return;
-
-        // 使用真实时间差计算deltaTime
-        const now = performance.now();
-        if (!this.lastFrameTime) {
-            this.lastFrameTime = now;
-        }
-        const deltaTime = (now - this.lastFrameTime) / 1000; // 转换为秒
-        this.lastFrameTime = now;
-
-        // 更新计分系统（包含倒计时）
-        this.scoreSystem.update(deltaTime);
-
-        // 继续循环
-        requestAnimationFrame(() => this.gameLoop());
+    applyRunSettings(replay) {
+        this.gameScene.setSeed(replay ? replay.seed : this.fixedSeed);
+        this.gameScene.setSpawnRate(replay ? replay.spawnRate : getCurrentPerformanceConfig().fruitSpawnRate);
+        this.gameScene.setMinBladeSpeed(replay ? replay.minBladeSpeed : this.defaultMinBladeSpeed);
     }
 
     /**
@@ -700,31 +1187,152 @@ class FruitCuttingGame {
      */
     togglePause() {
         if (this.gameState === 'playing') {
-            this.gameState = 'paused';
-            this.pauseScreen.classList.remove('hidden');
-            this.gameScene.setPaused(true);
+            this.pauseGame('manual');
         } else if (this.gameState === 'paused') {
-            this.gameState = 'playing';
-            this.pauseScreen.classList.add('hidden');
-            this.gameScene.setPaused(false);
-            // 重置时间帧，防止暂停期间的时间被计入
-            this.lastFrameTime = null;
-            this.gameLoop();
+            this.resumeGame();
+        }
+    }
+
+    /**
+     * 暂停游戏（仅在游戏进行中生效）
+     * @param {string} reason - manual、hidden、blur、camera、no-hands 或 gesture，显示在暂停界面上
+     */
+    pauseGame(reason = 'manual') {
+        if (this.gameState !== 'playing') return;
+
+        this.gameState = 'paused';
+        this.pauseReason = reason;
+        if (this.pauseReasonEl) {
+            this.pauseReasonEl.textContent = PAUSE_MESSAGES[reason] || '';
         }
+        this.pauseScreen.classList.remove('hidden');
+        this.gameScene.setPaused(true);
+        this.scheduler.pause();
+        console.log('⏸️ Game paused:', reason);
+    }
+
+    /**
+     * 继续游戏
+     */
+    resumeGame() {
+        if (this.gameState !== 'paused') return;
+
+        this.gameState = 'playing';
+        this.pauseReason = null;
+        this.resumeHoverStart = null;
+        if (this.resumeButton) {
+            this.resumeButton.classList.remove('active');
+        }
+        this.pauseScreen.classList.add('hidden');
+        this.gameScene.setPaused(false);
+        // 恢复时不计入暂停期间的时间
+        this.scheduler.resume();
+        this.lastInputTime = performance.now();
+    }
+
+    /**
+     * 摄像头轨道意外结束：暂停游戏并尝试重新连接
+     * 重连失败时 initializeCamera 会显示错误界面，可切换到鼠标/触摸模式后点击继续
+     */
+    onCameraLost() {
+        this.pauseGame('camera');
+        this.handInput.clear();
+        this.gestureClassifier.reset();
+        this.systemInfo.updateCameraStatus('Disconnected');
+        this.initializeCamera();
     }
 
     /**
      * 水果切割回调
      */
-    onFruitCut(fruitType) {
-        this.scoreSystem.cutFruit(fruitType);
+    onFruitCut(fruitType, cutInfo) {
+        this.recordRunEvent('fruitCut', fruitType, cutInfo.hand);
+        this.scoreSystem.cutFruit(fruitType, cutInfo);
         this.audioManager.playCutSound();
+
+        const { powerUp } = getFruitDefinition(fruitType);
+        if (powerUp && (this.gameState === 'playing' || this.gameState === 'replaying')) {
+            this.powerUps.activate(powerUp);
+        }
+    }
+
+    /**
+     * 道具效果开始
+     */
+    applyPowerUp(type, duration) {
+        switch (type) {
+            case 'freeze':
+                this.gameScene.setTimeScale(0.35);
+                break;
+            case 'frenzy':
+                this.gameScene.startFrenzy(duration);
+                break;
+            case 'double':
+                this.scoreSystem.setScoreMultiplier(2);
+                break;
+        }
+    }
+
+    /**
+     * 道具效果结束
+     */
+    removePowerUp(type) {
+        switch (type) {
+            case 'freeze':
+                this.gameScene.setTimeScale(1.0);
+                break;
+            case 'frenzy':
+                this.gameScene.stopFrenzy();
+                break;
+            case 'double':
+                this.scoreSystem.setScoreMultiplier(1);
+                break;
+        }
+    }
+
+    /**
+     * 更新道具 HUD：显示生效中的效果和剩余时间
+     */
+    updatePowerUpDisplay(active) {
+        if (!this.powerUpsEl) return;
+
+        this.powerUpsEl.innerHTML = active.map(powerUp => `
+            <div class="power-up power-up-${powerUp.type}">
+                <span>${powerUp.label}</span>
+                <span class="power-up-time">${powerUp.remaining.toFixed(1)}s</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * 显示连击提示
+     * 位置为最后切中水果的屏幕坐标（游戏画布是镜像显示的，需要翻转 X）
+     */
+    showComboPopup(combo) {
+        const popup = document.createElement('div');
+        popup.className = 'combo-popup';
+        popup.innerHTML = `
+            <div class="combo-count">${combo.count} FRUIT COMBO</div>
+            <div class="combo-bonus">+${combo.bonus}</div>
+        `;
+
+        const rect = this.canvasElement.getBoundingClientRect();
+        const position = combo.position || { x: rect.width / 2, y: rect.height / 2 };
+        popup.style.left = `${rect.left + rect.width - position.x}px`;
+        popup.style.top = `${rect.top + position.y}px`;
+
+        document.getElementById('app').appendChild(popup);
+
+        setTimeout(() => {
+            popup.remove();
+        }, 1200);
     }
 
     /**
      * 炸弹切割回调
      */
     onBombCut() {
+        this.recordRunEvent('bombCut');
         this.scoreSystem.cutBomb();
         this.audioManager.playExplosionSound();
 
@@ -732,6 +1340,14 @@ class FruitCuttingGame {
         this.shakeScreen();
     }
 
+    /**
+     * 水果掉出屏幕回调
+     */
+    onFruitMissed(fruitType) {
+        this.recordRunEvent('fruitMissed', fruitType);
+        this.scoreSystem.missFruit(fruitType);
+    }
+
     /**
      * 屏幕震动效果
      */
@@ -748,14 +1364,302 @@ class FruitCuttingGame {
      * 显示游戏结束界面
      */
     showGameOver(data) {
+        if (this.gameState === 'replaying') {
+            this.finishReplay();
+        } else if (this.replayRecorder) {
+            this.lastReplay = this.replayRecorder.finish(data);
+            this.replayRecorder = null;
+            this.saveBestReplay(this.lastReplay);
+        }
+        this.ghostPlayer = null;
+        this.ghostPaths = [];
+        this.updateReplayButtons();
+
         this.gameState = 'gameover';
         this.gameOverScreen.classList.remove('hidden');
+        this.powerUps.clear();
 
         if (this.finalScoreValueEl) {
             this.finalScoreValueEl.textContent = data.score;
         }
 
+        if (this.finalSeedValueEl) {
+            this.finalSeedValueEl.textContent = this.gameScene.getSeed();
+        }
+
         this.gameScene.setPaused(true);
+        this.gameScene.setLowTimeWarning(false);
+        this.scheduler.pause();
+    }
+
+    /**
+     * 录制本步输入：切割路径量化后交给游戏场景，现场和回放使用完全相同的输入
+     * @returns {{ cuttingPaths: Array, now: number }}
+     */
+    recordInput() {
+        const now = Date.now();
+        this.replayRecorder.setView(this.gameScene.getViewSize());
+        const cuttingPaths = this.replayRecorder.recordStep(this.gameScene.cuttingPaths, now);
+        return { cuttingPaths, now };
+    }
+
+    /**
+     * 取出回放的下一步输入，录像播放完时返回 null
+     */
+    nextReplayInput() {
+        const step = this.replayPlayer.nextStep();
+        if (!step) return null;
+
+        if (step.view !== this.replayView) {
+            this.replayView = step.view;
+            this.gameScene.setViewSize(step.view);
+        }
+        this.replayPaths = step.cuttingPaths;
+        return { cuttingPaths: step.cuttingPaths, now: step.now };
+    }
+
+    /**
+     * 幽灵录像前进一步（幽灵播放完后不再显示）
+     */
+    advanceGhost() {
+        if (!this.ghostPlayer) return;
+
+        const step = this.ghostPlayer.nextStep();
+        this.ghostPaths = step ? step.cuttingPaths : [];
+        if (step) {
+            this.ghostView = step.view;
+        }
+    }
+
+    /**
+     * 记录本局事件：游戏中写入录像，回放中收集起来与录像比对
+     */
+    recordRunEvent(type, ...details) {
+        if (this.gameState === 'playing' && this.replayRecorder) {
+            this.replayRecorder.recordEvent(type, ...details);
+        } else if (this.gameState === 'replaying') {
+            this.replayEvents.push([this.replayPlayer.stepIndex - 1, type, ...details]);
+        }
+    }
+
+    /**
+     * 绘制回放的刀光，或在玩家刀光上叠加幽灵刀光
+     */
+    drawReplayTrails() {
+        if (this.gameState === 'replaying') {
+            this.trailRenderer.drawPaths(this.replayPaths, this.getTrailTransform(this.replayView));
+        } else if (this.ghostPlayer && (this.gameState === 'playing' || this.gameState === 'paused')) {
+            this.trailRenderer.drawPaths(this.ghostPaths, { ...this.getTrailTransform(this.ghostView), ghost: true });
+        }
+    }
+
+    /**
+     * 录制时的画布坐标到当前画布坐标的变换
+     * 透视投影按画布高度缩放、以画布中心对齐
+     */
+    getTrailTransform(view) {
+        const width = this.handCanvasElement.clientWidth;
+        const height = this.handCanvasElement.clientHeight;
+        if (!view || !view.height) return { scale: 1, offsetX: 0 };
+
+        const scale = height / view.height;
+        return { scale, offsetX: width / 2 - (view.width / 2) * scale };
+    }
+
+    /**
+     * 录像按钮
+     * @param {string} action - watch、export、import 或 ghost
+     */
+    onReplayAction(action) {
+        switch (action) {
+            case 'watch':
+                this.startReplay(this.lastReplay);
+                break;
+            case 'export':
+                this.exportReplay(this.lastReplay);
+                break;
+            case 'import':
+                if (this.gameState === 'idle' && this.replayFileInput) {
+                    this.replayFileInput.click();
+                }
+                break;
+            case 'ghost':
+                this.ghostEnabled = !this.ghostEnabled;
+                this.updateReplayButtons();
+                break;
+        }
+    }
+
+    /**
+     * 在游戏场景中回放录像（开始界面或结束界面可用）
+     * 使用录像的模式、种子、生成参数和画布尺寸，逐步输入录制的切割路径
+     */
+    startReplay(replay) {
+        if (!replay || (this.gameState !== 'idle' && this.gameState !== 'gameover')) return;
+
+        // 结束界面的重新开始倒计时可能正在进行
+        clearInterval(this.restartCountdownTimer);
+        this.restartButton.classList.remove('active');
+        this.clearRestartCountdown();
+
+        this.gameState = 'idle';
+        this.setGameMode(replay.mode);
+        this.applyRunSettings(replay);
+
+        this.lastReplay = replay;
+        this.replayPlayer = new ReplayPlayer(replay);
+        this.replayView = null;
+        this.replayPaths = [];
+        this.replayEvents = [];
+
+        this.startScreen.classList.add('hidden');
+        this.gameOverScreen.classList.add('hidden');
+        if (this.replayBadgeEl) {
+            this.replayBadgeEl.classList.remove('hidden');
+        }
+
+        this.powerUps.clear();
+        this.scoreSystem.start();
+        this.gameScene.reset();
+        this.gameScene.setPaused(false);
+
+        this.gameState = 'replaying';
+        this.scheduler.resume();
+        console.log('🎬 Replaying run: seed', replay.seed, 'score', replay.result.score);
+    }
+
+    /**
+     * 提前结束回放
+     */
+    stopReplay() {
+        if (this.gameState !== 'replaying') return;
+        this.showGameOver({ score: this.scoreSystem.getScore(), reason: 'replay' });
+    }
+
+    /**
+     * 回放结束：完整播放时与录像的事件比对，恢复画布尺寸（种子等设置在下一局开始时恢复）
+     */
+    finishReplay() {
+        const player = this.replayPlayer;
+        const { events } = player.replay;
+
+        // 录像在游戏结束的那一步停止，播放到最后一步时两边的事件应当完全一致
+        if (player.isFinished()) {
+            const mismatch = findEventMismatch(events, this.replayEvents);
+            if (mismatch !== -1) {
+                console.warn('⚠️ Replay diverged from the recording at event', mismatch,
+                    'expected', events[mismatch], 'got', this.replayEvents[mismatch]);
+            }
+        }
+
+        this.replayPlayer = null;
+        this.replayView = null;
+        this.replayPaths = [];
+        this.gameScene.setViewSize(null);
+        this.trailRenderer.clear();
+        if (this.replayBadgeEl) {
+            this.replayBadgeEl.classList.add('hidden');
+        }
+    }
+
+    /**
+     * 把录像下载为 JSON 文件
+     */
+    exportReplay(replay) {
+        if (!replay) return;
+
+        const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `fruit-ninja-${replay.mode}-${replay.seed}-${replay.result.score}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * 导入录像文件：切换到录像的模式，可直接回放或开启幽灵赛跑
+     */
+    async importReplay(file) {
+        try {
+            const replay = parseReplay(await file.text());
+            if (this.gameState !== 'idle') return;
+
+            this.importedReplay = replay;
+            this.lastReplay = replay;
+            this.ghostEnabled = true;
+            this.setGameMode(replay.mode);
+            this.setReplayStatus(`Imported ${replay.mode} run: ${replay.result.score} points, seed ${replay.seed}.`);
+        } catch (error) {
+            console.error('Replay import failed:', error);
+            this.setReplayStatus(error.message);
+        }
+    }
+
+    /**
+     * 幽灵赛跑的对手：当前模式的导入录像，否则为当前模式的最佳一局
+     */
+    getGhostReplay() {
+        if (this.importedReplay && this.importedReplay.mode === this.gameMode.id) {
+            return this.importedReplay;
+        }
+        return this.loadBestReplay(this.gameMode.id);
+    }
+
+    /**
+     * 读取某个模式的最佳录像，没有或无法读取时返回 null
+     */
+    loadBestReplay(modeId) {
+        try {
+            const text = localStorage.getItem(`${BEST_REPLAY_STORAGE_KEY}:${modeId}`);
+            return text ? parseReplay(text) : null;
+        } catch (error) {
+            console.warn('Best replay unavailable:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 分数超过该模式的最佳录像时保存
+     */
+    saveBestReplay(replay) {
+        const best = this.loadBestReplay(replay.mode);
+        if (best && best.result.score >= replay.result.score) return;
+
+        try {
+            localStorage.setItem(`${BEST_REPLAY_STORAGE_KEY}:${replay.mode}`, serializeReplay(replay));
+        } catch (error) {
+            // 存储已满或被禁用：只影响幽灵赛跑
+            console.warn('Could not save best replay:', error.message);
+        }
+    }
+
+    /**
+     * 更新录像按钮：没有录像时禁用回放和导出，幽灵开关显示对手分数
+     */
+    updateReplayButtons() {
+        this.replayButtons.forEach(button => {
+            const action = button.dataset.replayAction;
+
+            if (action === 'watch' || action === 'export') {
+                button.disabled = !this.lastReplay;
+            } else if (action === 'ghost') {
+                const ghost = this.getGhostReplay();
+                button.classList.toggle('selected', this.ghostEnabled);
+                button.textContent = this.ghostEnabled
+                    ? `GHOST RACE: ${ghost ? `${ghost.result.score} PTS` : 'NO RUN YET'}`
+                    : 'GHOST RACE: OFF';
+            }
+        });
+    }
+
+    /**
+     * 在开始界面显示录像导入结果
+     */
+    setReplayStatus(message) {
+        if (this.replayStatusEl) {
+            this.replayStatusEl.textContent = message;
+        }
     }
 
     /**
@@ -766,10 +1670,50 @@ class FruitCuttingGame {
         this.gameOverScreen.classList.add('hidden');
         this.startScreen.classList.remove('hidden');
 
+        this.powerUps.clear();
         this.scoreSystem.reset();
         this.gameScene.reset();
-        this.updateScoreDisplay(0);
-        this.updateTimeDisplay(60);
+    }
+
+    /**
+     * 切换游戏模式（仅在开始界面可用）
+     * 同时更新计分规则、难度曲线和 HUD
+     */
+    setGameMode(modeId) {
+        if (this.gameState !== 'idle') return;
+
+        this.gameMode = createGameMode(modeId);
+        this.scoreSystem.setRuleset(this.gameMode.ruleset);
+        this.gameScene.setGameMode(this.gameMode);
+        this.applyModeHud();
+
+        this.modeButtons.forEach(button => {
+            button.classList.toggle('selected', button.dataset.mode === this.gameMode.id);
+        });
+        this.updateReplayButtons();
+
+        if (this.modeDescriptionEl) {
+            this.modeDescriptionEl.textContent = this.gameMode.description;
+        }
+
+        console.log('🎮 Game mode:', this.gameMode.name);
+    }
+
+    /**
+     * 根据游戏模式显示或隐藏 HUD 元素（倒计时、生命）
+     */
+    applyModeHud() {
+        const hud = this.gameMode.getHud();
+
+        if (this.timeRemainingEl) {
+            this.timeRemainingEl.classList.toggle('hidden', !hud.time);
+        }
+
+        if (this.livesValueEl) {
+            this.livesValueEl.classList.toggle('hidden', !hud.lives);
+        }
+
+        this.scoreSystem.reset();
     }
 
     /**
@@ -787,6 +1731,16 @@ class FruitCuttingGame {
         }
     }
 
+    /**
+     * 更新生命显示
+     */
+    updateLivesDisplay(lives) {
+        if (this.livesValueEl) {
+            const maxLives = this.scoreSystem.ruleset.lives;
+            this.livesValueEl.textContent = '❤️'.repeat(lives) + '🖤'.repeat(maxLives - lives);
+        }
+    }
+
     /**
      * 更新时间显示
      */
@@ -802,6 +1756,43 @@ class FruitCuttingGame {
             }
         }
     }
+
+    /**
+     * 销毁游戏：停止主循环和计时器，移除所有事件监听，关闭摄像头并释放 WebGL 和音频资源
+     * 销毁后可以重新 new FruitCuttingGame()
+     */
+    dispose() {
+        if (this.isDisposed) return;
+        this.isDisposed = true;
+
+        this.scheduler.stop();
+        clearInterval(this.startCountdownTimer);
+        clearInterval(this.restartCountdownTimer);
+        this.listenerController.abort();
+
+        const errorOverlay = document.getElementById('camera-error-overlay');
+        if (errorOverlay) {
+            errorOverlay.remove();
+        }
+
+        this.inputManager.dispose();
+        this.handTracker.dispose();
+        this.trailRenderer.dispose();
+        if (this.powerUps) {
+            this.powerUps.clear();
+        }
+        if (this.gameScene) {
+            this.gameScene.dispose();
+        }
+        if (this.audioManager) {
+            this.audioManager.dispose();
+        }
+        if (this.systemInfo) {
+            this.systemInfo.dispose();
+        }
+        this.performanceMonitor.dispose();
+        this.handFilterPanel.dispose();
+    }
 }
 
 // 添加屏幕震动动画样式
@@ -818,7 +1809,8 @@ document.head.appendChild(style);
 // 启动游戏
 window.addEventListener('DOMContentLoaded', () => {
     try {
-        new FruitCuttingGame();
+        // 挂到 window 上，便于调试和整体销毁：window.fruitCuttingGame.dispose()
+        window.fruitCuttingGame = new FruitCuttingGame();
     } catch (error) {
         console.error('游戏初始化失败:', error);
         document.body.innerHTML = `
@@ -0,0 +1,182 @@
+import { GESTURES, GESTURE_SETTINGS } from '../config/gestures.js';
+
+// MediaPipe 手部关键点下标
+const WRIST = 0;
+const THUMB_MCP = 2;
+const THUMB_TIP = 4;
+const INDEX_MCP = 5;
+const MIDDLE_MCP = 9;
+const INDEX_TIP = 8;
+// 食指、中指、无名指、小指的 [PIP, TIP]
+const FINGERS = [[6, 8], [10, 12], [14, 16], [18, 20]];
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * 把 value 从 [from, to] 线性映射到 [0, 1]（from 可以大于 to）
+ */
+const ramp = (value, from, to) => clamp01((value - from) / (to - from));
+
+function distance(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dz = (a.z || 0) - (b.z || 0);
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * 根据一只手的 21 个关键点判断手势
+ * 先算出各手指的伸直程度、拇指伸出和朝上的程度、拇指与食指的捏合程度（均为 0~1），
+ * 再组合成每个手势的得分；得分最高且不低于 minConfidence 的为结果，否则为 'none'
+ * 只用关键点之间的相对距离，与手离摄像头的远近无关
+ * @param {Array<{x: number, y: number, z?: number}>} landmarks - MediaPipe 归一化坐标
+ * @param {number} [minConfidence=0.5]
+ * @returns {{gesture: string, confidence: number, scores: Object<string, number>}}
+ */
+export function classifyHandPose(landmarks, minConfidence = 0.5) {
+    const wrist = landmarks[WRIST];
+    const palmSize = distance(wrist, landmarks[MIDDLE_MCP]) || 1e-6;
+
+    // 手指伸直时指尖比 PIP 关节离手腕远，弯曲时更近
+    const extended = FINGERS.map(([pip, tip]) =>
+        ramp(distance(wrist, landmarks[tip]) / (distance(wrist, landmarks[pip]) || 1e-6), 0.9, 1.2));
+    const curled = extended.map(value => 1 - value);
+
+    const thumbOut = ramp(distance(landmarks[THUMB_TIP], landmarks[INDEX_MCP]) / palmSize, 0.35, 0.7);
+    // 图像坐标 y 向下，拇指尖高于拇指根部即朝上
+    const thumbUp = ramp((landmarks[THUMB_MCP].y - landmarks[THUMB_TIP].y) / palmSize, 0.1, 0.5);
+    const pinched = ramp(distance(landmarks[THUMB_TIP], landmarks[INDEX_TIP]) / palmSize, 0.45, 0.2);
+
+    const scores = {
+        open_palm: Math.min(...extended, thumbOut) * (1 - pinched),
+        fist: Math.min(...curled) * (1 - thumbUp),
+        // 握拳时拇指也可能碰到食指，其余手指全部弯曲时降低捏合得分
+        pinch: pinched * (1 - 0.5 * Math.min(curled[1], curled[2], curled[3])),
+        point: Math.min(extended[0], curled[1], curled[2], curled[3]) * (1 - pinched),
+        thumbs_up: Math.min(...curled, thumbOut, thumbUp)
+    };
+
+    let gesture = 'none';
+    let confidence = 0;
+    GESTURES.forEach(name => {
+        if (scores[name] > confidence) {
+            gesture = name;
+            confidence = scores[name];
+        }
+    });
+
+    if (confidence < minConfidence) {
+        gesture = 'none';
+    }
+    return { gesture, confidence, scores };
+}
+
+/**
+ * 手势识别器
+ * 每只手单独跟踪，带滞回和保持时间：
+ * - 得分达到 enterConfidence、并且手基本不动地保持 holdMs 后，手势才开始，此时触发一次事件
+ * - 已开始的手势得分降到 exitConfidence 以下才结束，结束之前不会再次触发
+ */
+export class GestureClassifier {
+    /**
+     * @param {object} [settings] - 见 GESTURE_SETTINGS
+     */
+    constructor(settings = GESTURE_SETTINGS) {
+        this.settings = settings;
+        // hand -> { gesture, confidence, candidate, candidateSince, candidateOrigin }
+        this.states = new Map();
+    }
+
+    /**
+     * 用最新的检测结果更新，返回本次开始的手势
+     * @param {Object<string, {landmarks: Array}|null>} hands - 如 ModernHandTracker.hands（{ left, right }）
+     * @param {number} now - 毫秒
+     * @returns {Array<{hand: string, gesture: string, confidence: number}>}
+     */
+    update(hands, now) {
+        const events = [];
+
+        Object.entries(hands).forEach(([hand, data]) => {
+            if (!data || !data.landmarks) {
+                this.states.delete(hand);
+                return;
+            }
+
+            const event = this.updateHand(hand, data.landmarks, now);
+            if (event) {
+                events.push(event);
+            }
+        });
+
+        return events;
+    }
+
+    updateHand(hand, landmarks, now) {
+        const { enterConfidence, exitConfidence, maxHoldMovement } = this.settings;
+        const state = this.states.get(hand) || {
+            gesture: 'none',
+            confidence: 0,
+            candidate: null,
+            candidateSince: 0,
+            candidateOrigin: null
+        };
+        this.states.set(hand, state);
+
+        const { gesture, confidence, scores } = classifyHandPose(landmarks, enterConfidence);
+
+        if (state.gesture !== 'none') {
+            if (scores[state.gesture] >= exitConfidence) {
+                state.confidence = scores[state.gesture];
+                return null;
+            }
+            state.gesture = 'none';
+            state.confidence = 0;
+        }
+
+        if (gesture === 'none') {
+            state.candidate = null;
+            return null;
+        }
+
+        const wrist = landmarks[WRIST];
+        const palmSize = distance(wrist, landmarks[MIDDLE_MCP]) || 1e-6;
+        const moved = state.candidateOrigin ? distance(wrist, state.candidateOrigin) / palmSize : 0;
+
+        // 换了手势或手移动太多：重新计时
+        if (state.candidate !== gesture || moved > maxHoldMovement) {
+            state.candidate = gesture;
+            state.candidateSince = now;
+            state.candidateOrigin = { x: wrist.x, y: wrist.y, z: wrist.z };
+            return null;
+        }
+
+        if (now - state.candidateSince < this.getHoldMs(gesture)) {
+            return null;
+        }
+
+        state.gesture = gesture;
+        state.confidence = confidence;
+        state.candidate = null;
+        return { hand, gesture, confidence };
+    }
+
+    getHoldMs(gesture) {
+        const { holdMs, holdMsByGesture = {} } = this.settings;
+        return gesture in holdMsByGesture ? holdMsByGesture[gesture] : holdMs;
+    }
+
+    /**
+     * 某只手当前的手势（'none' 表示没有）
+     */
+    getGesture(hand) {
+        const state = this.states.get(hand);
+        return state ? { gesture: state.gesture, confidence: state.confidence } : { gesture: 'none', confidence: 0 };
+    }
+
+    /**
+     * 丢弃所有手的状态
+     */
+    reset() {
+        this.states.clear();
+    }
+}
@@ -0,0 +1,52 @@
+import { InputSource } from './InputSource.js';
+
+/**
+ * 手势输入源
+ * 每帧用 ModernHandTracker 检测手部，笔画为左右手的拖影轨迹（'left'、'right'）
+ * 摄像头未就绪时不产生笔画
+ */
+export class HandInputSource extends InputSource {
+    /**
+     * @param {import('../components/ModernHandTracker.js').ModernHandTracker} tracker
+     */
+    constructor(tracker) {
+        super('hands');
+        this.tracker = tracker;
+        this.result = null;
+        this.detectionTime = 0; // 最近一次检测耗时（毫秒），供性能监控使用
+    }
+
+    update(now) {
+        if (!this.tracker.isInitialized) {
+            this.result = null;
+            return;
+        }
+
+        const start = performance.now();
+        this.result = this.tracker.detectHands(now);
+        this.detectionTime = performance.now() - start;
+    }
+
+    /**
+     * 最近一次检测是否看到了手
+     */
+    hasHands() {
+        return !!(this.result && this.result.landmarks && this.result.landmarks.length > 0);
+    }
+
+    getStrokes() {
+        // 看不到手时不切割，也不画拖影
+        if (!this.hasHands()) return [];
+
+        return this.tracker.getCuttingPaths().map(path => ({ ...path, source: 'hand' }));
+    }
+
+    isActive() {
+        return this.hasHands();
+    }
+
+    clear() {
+        this.result = null;
+        this.tracker.clearTracking();
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * 输入管理器
+ * 合并所有启用的输入源的笔画，作为游戏场景的切割路径和刀光轨迹的唯一来源
+ * 手势和鼠标/触摸可以同时使用
+ */
+export class InputManager {
+    constructor() {
+        this.sources = [];
+        this.strokes = [];
+    }
+
+    /**
+     * 注册输入源
+     * @param {import('./InputSource.js').InputSource} source
+     */
+    addSource(source) {
+        this.sources.push(source);
+        return source;
+    }
+
+    /**
+     * 移除并销毁输入源
+     */
+    removeSource(source) {
+        this.sources = this.sources.filter(candidate => candidate !== source);
+        source.dispose();
+    }
+
+    /**
+     * 按 id 查找输入源
+     */
+    getSource(id) {
+        return this.sources.find(source => source.id === id) || null;
+    }
+
+    /**
+     * 更新所有启用的输入源并合并笔画
+     * @param {number} now - performance.now()
+     * @returns {Array} 合并后的笔画
+     */
+    update(now) {
+        const active = this.sources.filter(source => source.enabled);
+        active.forEach(source => source.update(now));
+        this.strokes = active.flatMap(source => source.getStrokes());
+        return this.strokes;
+    }
+
+    /**
+     * 最近一次 update() 合并的笔画
+     */
+    getStrokes() {
+        return this.strokes;
+    }
+
+    /**
+     * 是否有任何输入源正在输入
+     */
+    isActive() {
+        return this.sources.some(source => source.enabled && source.isActive());
+    }
+
+    /**
+     * 丢弃所有输入源的当前笔画
+     */
+    clear() {
+        this.sources.forEach(source => source.clear());
+        this.strokes = [];
+    }
+
+    /**
+     * 销毁所有输入源
+     */
+    dispose() {
+        this.sources.forEach(source => source.dispose());
+        this.sources = [];
+        this.strokes = [];
+    }
+}
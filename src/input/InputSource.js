@@ -0,0 +1,51 @@
+/**
+ * 输入源基类
+ * 每个输入源（手势、鼠标、触摸、手写笔）产生带时间戳的笔画：
+ *   { hand, source, points: [{ x, y, timestamp }], width? }
+ * - hand：笔画标识，在所有输入源之间唯一（'left'、'right'、'mouse'、'pen'、'touch-0'、'touch-1'……），
+ *   也是切割路径的 hand 字段：用于连击统计、刀光颜色和录像
+ * - source：输入类型（'hand'、'mouse'、'touch'、'pen'）
+ * - points：画布像素坐标（与镜像显示后的画面一致），timestamp 为 Date.now() 毫秒
+ * - width：可选的刀锋宽度倍数（触摸压力或接触尺寸），同时决定刀光宽度和切割命中距离，缺省为 1
+ * 新输入源继承该类，再通过 InputManager.addSource() 注册
+ */
+export class InputSource {
+    /**
+     * @param {string} id - 输入源标识
+     */
+    constructor(id) {
+        this.id = id;
+        this.enabled = true;
+    }
+
+    /**
+     * 每帧调用一次：读取输入并更新笔画
+     * @param {number} now - performance.now()
+     */
+    update(now) {}
+
+    /**
+     * 当前的笔画（至少两个点才能切割）
+     * @returns {Array<{hand: string, source: string, points: Array<{x: number, y: number, timestamp: number}>, width?: number}>}
+     */
+    getStrokes() {
+        return [];
+    }
+
+    /**
+     * 是否有正在进行的输入（用于“长时间没有输入”自动暂停）
+     */
+    isActive() {
+        return this.getStrokes().length > 0;
+    }
+
+    /**
+     * 丢弃当前笔画
+     */
+    clear() {}
+
+    /**
+     * 移除事件监听等资源
+     */
+    dispose() {}
+}
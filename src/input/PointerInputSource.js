@@ -0,0 +1,196 @@
+import { InputSource } from './InputSource.js';
+
+// 刀锋宽度倍数的范围（1 为鼠标和手势的默认宽度）
+const MIN_BLADE_WIDTH = 0.5;
+const MAX_BLADE_WIDTH = 2.5;
+// 这个接触尺寸（CSS 像素）对应默认宽度，大约是一根手指
+const REFERENCE_CONTACT_SIZE = 24;
+
+/**
+ * 由指针的压力或接触尺寸得到刀锋宽度倍数
+ * 触摸优先用接触尺寸，手写笔优先用压力；设备不提供时（接触尺寸为 1、压力固定为 0.5）为 1
+ * @param {{pointerType: string, pressure?: number, width?: number, height?: number}} e - 指针事件
+ * @returns {number}
+ */
+export function getBladeWidth({ pointerType, pressure = 0.5, width = 1, height = 1 }) {
+    if (pointerType === 'mouse') return 1;
+
+    const contactSize = Math.max(width, height);
+    const hasContactSize = contactSize > 1;
+    const hasPressure = pressure > 0 && pressure !== 0.5;
+
+    let scale = 1;
+    if (hasContactSize && (pointerType === 'touch' || !hasPressure)) {
+        scale = contactSize / REFERENCE_CONTACT_SIZE;
+    } else if (hasPressure) {
+        scale = pressure * 2;
+    }
+
+    return Math.min(MAX_BLADE_WIDTH, Math.max(MIN_BLADE_WIDTH, scale));
+}
+
+/**
+ * 指针输入源：鼠标、触摸和手写笔（Pointer Events）
+ * 每个按下的指针一条笔画：鼠标为 'mouse'，手写笔为 'pen'，
+ * 每根手指为 'touch-0'、'touch-1'……（编号取最小的空位，决定刀光颜色），多根手指、多名玩家可同时切
+ * 抬起后笔画保留 releaseDelayMs 再消失，和手势拖影的手感一致
+ */
+export class PointerInputSource extends InputSource {
+    /**
+     * @param {HTMLElement} element - 接收指针事件的元素（游戏画布）
+     * @param {object} [options]
+     * @param {number} [options.maxTrailLength=20] - 每条笔画保留的点数
+     * @param {number} [options.releaseDelayMs=300] - 抬起后笔画保留的时间
+     * @param {number} [options.maxTouches=10] - 同时跟踪的手指数，多出的手指被忽略
+     * @param {boolean} [options.mirrored=true] - 元素是否水平镜像显示（游戏画布与摄像头画面一样是镜像的）
+     * @param {() => number} [options.now=Date.now] - 时钟（毫秒），用于点的时间戳和抬起后的保留时间
+     */
+    constructor(element, {
+        maxTrailLength = 20, releaseDelayMs = 300, maxTouches = 10, mirrored = true, now = Date.now
+    } = {}) {
+        super('pointer');
+        this.element = element;
+        this.maxTrailLength = maxTrailLength;
+        this.releaseDelayMs = releaseDelayMs;
+        this.maxTouches = maxTouches;
+        this.mirrored = mirrored;
+        this.now = now;
+
+        // pointerId -> { hand, pointerType, points, width, isDown, releaseTime }
+        this.strokes = new Map();
+
+        this.listenerController = new AbortController();
+        const { signal } = this.listenerController;
+        element.addEventListener('pointerdown', (e) => this.onPointerDown(e), { signal });
+        element.addEventListener('pointermove', (e) => this.onPointerMove(e), { signal });
+        element.addEventListener('pointerup', (e) => this.onPointerUp(e), { signal });
+        element.addEventListener('pointercancel', (e) => this.onPointerUp(e), { signal });
+    }
+
+    /**
+     * 设置每条笔画保留的点数
+     */
+    setMaxTrailLength(length) {
+        this.maxTrailLength = length;
+    }
+
+    onPointerDown(e) {
+        if (!this.enabled) return;
+
+        const hand = this.getStrokeName(e);
+        if (!hand) return;
+
+        // 移出画布后仍能收到移动和抬起事件
+        if (this.element.setPointerCapture) {
+            try {
+                this.element.setPointerCapture(e.pointerId);
+            } catch {
+                // 合成事件没有真实的指针
+            }
+        }
+
+        // 每次按下都是新笔画，不与上一笔的末尾相连（同名的旧笔画立即消失）
+        this.strokes.forEach((stroke, pointerId) => {
+            if (stroke.hand === hand) {
+                this.strokes.delete(pointerId);
+            }
+        });
+        this.strokes.set(e.pointerId, {
+            hand,
+            pointerType: e.pointerType,
+            points: [this.getPoint(e)],
+            width: getBladeWidth(e),
+            isDown: true,
+            releaseTime: null
+        });
+    }
+
+    onPointerMove(e) {
+        const stroke = this.strokes.get(e.pointerId);
+        if (!stroke || !stroke.isDown) return;
+
+        stroke.points.push(this.getPoint(e));
+        if (stroke.points.length > this.maxTrailLength) {
+            stroke.points.splice(0, stroke.points.length - this.maxTrailLength);
+        }
+        stroke.width = getBladeWidth(e);
+    }
+
+    onPointerUp(e) {
+        const stroke = this.strokes.get(e.pointerId);
+        if (!stroke) return;
+
+        stroke.isDown = false;
+        stroke.releaseTime = this.now();
+    }
+
+    /**
+     * 新笔画的名称：鼠标和手写笔用指针类型，手指取最小的空闲编号
+     * 手指已达上限时返回 null
+     */
+    getStrokeName(e) {
+        if (e.pointerType !== 'touch') return e.pointerType;
+
+        const used = new Set();
+        this.strokes.forEach(stroke => {
+            // 仍按着的手指占用编号；已抬起的拖影可以被新手指接替
+            if (stroke.pointerType === 'touch' && stroke.isDown) {
+                used.add(stroke.hand);
+            }
+        });
+
+        for (let slot = 0; slot < this.maxTouches; slot++) {
+            if (!used.has(`touch-${slot}`)) return `touch-${slot}`;
+        }
+        return null;
+    }
+
+    /**
+     * 事件位置转换为画布坐标
+     */
+    getPoint(e) {
+        const rect = this.element.getBoundingClientRect();
+        return {
+            x: this.mirrored ? rect.right - e.clientX : e.clientX - rect.left,
+            y: e.clientY - rect.top,
+            timestamp: this.now()
+        };
+    }
+
+    update() {
+        const now = this.now();
+        this.strokes.forEach((stroke, pointerId) => {
+            if (!stroke.isDown && now - stroke.releaseTime > this.releaseDelayMs) {
+                this.strokes.delete(pointerId);
+            }
+        });
+    }
+
+    getStrokes() {
+        const strokes = [];
+        this.strokes.forEach(stroke => {
+            if (stroke.points.length >= 2) {
+                strokes.push({
+                    hand: stroke.hand,
+                    source: stroke.pointerType,
+                    points: stroke.points.slice(),
+                    width: stroke.width
+                });
+            }
+        });
+        return strokes;
+    }
+
+    isActive() {
+        return Array.from(this.strokes.values()).some(stroke => stroke.isDown);
+    }
+
+    clear() {
+        this.strokes.clear();
+    }
+
+    dispose() {
+        this.listenerController.abort();
+        this.strokes.clear();
+    }
+}
@@ -0,0 +1,15 @@
+import { GameMode } from './GameMode.js';
+
+/**
+ * 街机模式（默认）
+ * 60 秒限时，炸弹扣分，生成速度分三个阶段递增（config/waves/arcade.json）
+ */
+export class ArcadeMode extends GameMode {
+    constructor() {
+        super({
+            id: 'arcade',
+            name: 'Arcade',
+            description: '60 seconds. Bombs cost 20 points.'
+        });
+    }
+}
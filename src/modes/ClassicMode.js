@@ -0,0 +1,16 @@
+import { GameMode } from './GameMode.js';
+
+/**
+ * 经典模式
+ * 不限时，三条命；漏掉水果扣一条命，切到炸弹立即结束
+ * 生成间隔随时间平滑缩短，炸弹逐渐变多（config/waves/classic.json）
+ */
+export class ClassicMode extends GameMode {
+    constructor() {
+        super({
+            id: 'classic',
+            name: 'Classic',
+            description: '3 lives. Miss a fruit, lose a life. One bomb ends the run.'
+        });
+    }
+}
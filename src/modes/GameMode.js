@@ -0,0 +1,35 @@
+import { getRuleset } from '../config/rulesets.js';
+import { getWaveFile } from '../config/waves/index.js';
+
+/**
+ * 游戏模式基类
+ * 一个模式决定：胜负条件与计时（规则集）、波次文件（生成节奏、炸弹、难度曲线）和需要显示的 HUD 元素
+ * 新模式继承该类，然后在 modes/index.js 中注册
+ */
+export class GameMode {
+    /**
+     * @param {object} options
+     * @param {string} options.id - 模式标识，与规则集 id 对应
+     * @param {string} options.name - 显示名称
+     * @param {string} options.description - 开始界面上的模式说明
+     * @param {object} [options.ruleset] - 规则集，默认按 id 查找
+     * @param {object} [options.waves] - 波次文件，默认按 id 查找 (config/waves)
+     */
+    constructor({ id, name, description, ruleset, waves }) {
+        this.id = id;
+        this.name = name;
+        this.description = description;
+        this.ruleset = ruleset || getRuleset(id);
+        this.waves = waves || getWaveFile(id);
+    }
+
+    /**
+     * 需要显示的 HUD 元素
+     */
+    getHud() {
+        return {
+            time: this.ruleset.timeLimit !== null,
+            lives: this.ruleset.lives !== null
+        };
+    }
+}
@@ -0,0 +1,15 @@
+import { GameMode } from './GameMode.js';
+
+/**
+ * 禅模式
+ * 90 秒，没有炸弹，节奏稳定，适合练习（config/waves/zen.json）
+ */
+export class ZenMode extends GameMode {
+    constructor() {
+        super({
+            id: 'zen',
+            name: 'Zen',
+            description: '90 seconds. No bombs, just fruit.'
+        });
+    }
+}
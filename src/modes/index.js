@@ -0,0 +1,25 @@
+import { ArcadeMode } from './ArcadeMode.js';
+import { ClassicMode } from './ClassicMode.js';
+import { ZenMode } from './ZenMode.js';
+
+/**
+ * 游戏模式注册表
+ * 新增模式：继承 GameMode，并在这里注册
+ */
+export const GAME_MODES = {
+    arcade: ArcadeMode,
+    classic: ClassicMode,
+    zen: ZenMode
+};
+
+export const DEFAULT_GAME_MODE = 'arcade';
+
+/**
+ * 按 id 创建游戏模式，未知 id 使用默认模式
+ */
+export function createGameMode(id) {
+    const ModeClass = GAME_MODES[id] || GAME_MODES[DEFAULT_GAME_MODE];
+    return new ModeClass();
+}
+
+export { GameMode } from './GameMode.js';
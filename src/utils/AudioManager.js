@@ -8,6 +8,7 @@ export class AudioManager {
         this.backgroundMusic = null;
         this.isMusicEnabled = true;
         this.isSoundEnabled = true;
+        this.audioContexts = []; // 所有创建的 AudioContext，dispose() 时关闭
         
         // 初始化音效
         this.initSounds();
@@ -23,11 +24,20 @@ export class AudioManager {
         this.sounds.background = this.createBackgroundMusic();
     }
     
+    /**
+     * 创建 AudioContext 并登记，便于销毁时关闭
+     */
+    createAudioContext() {
+        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        this.audioContexts.push(audioContext);
+        return audioContext;
+    }
+    
     /**
      * 创建切割音效
      */
     createCutSound() {
-        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        const audioContext = this.createAudioContext();
         const oscillator = audioContext.createOscillator();
         const gainNode = audioContext.createGain();
         
@@ -66,7 +76,7 @@ export class AudioManager {
      * 创建爆炸音效
      */
     createExplosionSound() {
-        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        const audioContext = this.createAudioContext();
         
         return {
             play: () => {
@@ -147,4 +157,16 @@ export class AudioManager {
         this.isSoundEnabled = !this.isSoundEnabled;
         return this.isSoundEnabled;
     }
+    
+    /**
+     * 释放音频资源：停止背景音乐并关闭所有 AudioContext
+     */
+    dispose() {
+        if (this.sounds.background) {
+            this.sounds.background.stop();
+        }
+        this.audioContexts.forEach(audioContext => audioContext.close());
+        this.audioContexts = [];
+        this.sounds = {};
+    }
 }
@@ -0,0 +1,143 @@
+/**
+ * Frame Scheduler
+ * Single requestAnimationFrame loop for the whole game.
+ *
+ * - Fixed-step callbacks advance game logic (physics, spawning, timer) at a
+ *   constant rate, so a dropped frame never changes gravity or spawn timing.
+ * - Frame callbacks run once per animation frame with an interpolation factor
+ *   (alpha) between the last two fixed steps, for rendering and input.
+ * - Pause/resume and tab switches are handled here: while paused no fixed steps
+ *   run, and time spent in a hidden tab is discarded instead of caught up.
+ * - An optional target FPS caps how often frame callbacks run (fixed steps are
+ *   unaffected), so low-end presets can render at 30 FPS on a 60 Hz display.
+ */
+export class FrameScheduler {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.fixedStep=1/60] - fixed logic step in seconds
+     * @param {number} [options.maxFrameTime=0.25] - longest frame delta that is simulated (avoids spiral of death)
+     * @param {number|null} [options.targetFps=null] - cap for frame callbacks, null for every animation frame
+     */
+    constructor({ fixedStep = 1 / 60, maxFrameTime = 0.25, targetFps = null } = {}) {
+        this.fixedStep = fixedStep;
+        this.maxFrameTime = maxFrameTime;
+        this.setTargetFps(targetFps);
+        this.lastFrameCallbackTime = null;
+
+        this.fixedCallbacks = [];
+        this.frameCallbacks = [];
+
+        this.accumulator = 0;
+        this.lastTime = null;
+        this.isRunning = false;
+        this.isPaused = false;
+        this.rafId = null;
+
+        this.handleVisibilityChange = () => {
+            // Drop the time spent in the background tab
+            this.lastTime = null;
+            this.accumulator = 0;
+        };
+    }
+
+    /**
+     * Register a fixed-step callback: (deltaTime) => void, deltaTime in seconds
+     */
+    onFixedUpdate(callback) {
+        this.fixedCallbacks.push(callback);
+    }
+
+    /**
+     * Register a per-frame callback: (alpha, frameDeltaTime, now) => void
+     * alpha is the 0..1 progress between the previous and current fixed step
+     */
+    onFrame(callback) {
+        this.frameCallbacks.push(callback);
+    }
+
+    /**
+     * Cap frame callbacks to targetFps (null or 0 removes the cap)
+     */
+    setTargetFps(targetFps) {
+        this.targetFps = targetFps || null;
+        // 2 ms tolerance so vsync jitter doesn't skip a frame that is due
+        this.minFrameInterval = this.targetFps ? 1000 / this.targetFps - 2 : 0;
+    }
+
+    /**
+     * Start the loop (no-op if already running)
+     */
+    start() {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        this.lastTime = null;
+        this.lastFrameCallbackTime = null;
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        this.rafId = requestAnimationFrame(this.tick);
+    }
+
+    /**
+     * Stop the loop
+     */
+    stop() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        cancelAnimationFrame(this.rafId);
+        this.rafId = null;
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    /**
+     * Pause fixed-step logic; frame callbacks keep running (menus, hand tracking)
+     */
+    pause() {
+        this.isPaused = true;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Resume fixed-step logic without simulating the paused time
+     */
+    resume() {
+        this.isPaused = false;
+        this.accumulator = 0;
+        this.lastTime = null;
+    }
+
+    /**
+     * Animation frame handler
+     */
+    tick = (now) => {
+        if (!this.isRunning) return;
+        this.rafId = requestAnimationFrame(this.tick);
+
+        const frameDeltaTime = this.lastTime === null
+            ? 0
+            : Math.min((now - this.lastTime) / 1000, this.maxFrameTime);
+        this.lastTime = now;
+
+        if (!this.isPaused) {
+            this.accumulator += frameDeltaTime;
+
+            // A fixed step may pause the game (e.g. game over), so re-check every step
+            while (!this.isPaused && this.accumulator >= this.fixedStep) {
+                this.fixedCallbacks.forEach(callback => callback(this.fixedStep));
+                this.accumulator -= this.fixedStep;
+            }
+        }
+
+        // Frame cap: logic above still ran, only rendering/input waits for the next due frame
+        if (this.lastFrameCallbackTime !== null && now - this.lastFrameCallbackTime < this.minFrameInterval) {
+            return;
+        }
+        const callbackDeltaTime = this.lastFrameCallbackTime === null
+            ? frameDeltaTime
+            : Math.min((now - this.lastFrameCallbackTime) / 1000, this.maxFrameTime);
+        this.lastFrameCallbackTime = now;
+
+        const alpha = this.isPaused ? 1 : this.accumulator / this.fixedStep;
+        this.frameCallbacks.forEach(callback => callback(alpha, callbackDeltaTime, now));
+    }
+}
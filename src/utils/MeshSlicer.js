@@ -0,0 +1,171 @@
+import * as THREE from 'three';
+
+/**
+ * 网格切割工具
+ * 用平面把凸几何体切成两半，并为每一半生成截面（封口）
+ *
+ * 输出几何体带两个材质分组：
+ *   group 0 - 原表皮
+ *   group 1 - 截面（果肉）
+ */
+
+const EPSILON = 1e-6;
+
+/**
+ * 按平面切割几何体
+ * @param {THREE.BufferGeometry} geometry - 需要包含 position 与 normal 属性
+ * @param {THREE.Plane} plane - 几何体局部坐标系下的切割平面
+ * @returns {{ positive: THREE.BufferGeometry|null, negative: THREE.BufferGeometry|null }}
+ *          positive 为平面法线一侧，negative 为另一侧；某一侧为空时返回 null
+ */
+export function sliceGeometry(geometry, plane) {
+    const source = geometry.index ? geometry.toNonIndexed() : geometry;
+    const positions = source.getAttribute('position');
+    const normals = source.getAttribute('normal');
+
+    const sides = {
+        positive: createSideBuffers(),
+        negative: createSideBuffers()
+    };
+
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    const na = new THREE.Vector3();
+    const nb = new THREE.Vector3();
+    const nc = new THREE.Vector3();
+
+    for (let i = 0; i < positions.count; i += 3) {
+        a.fromBufferAttribute(positions, i);
+        b.fromBufferAttribute(positions, i + 1);
+        c.fromBufferAttribute(positions, i + 2);
+        na.fromBufferAttribute(normals, i);
+        nb.fromBufferAttribute(normals, i + 1);
+        nc.fromBufferAttribute(normals, i + 2);
+
+        const triangle = [
+            { position: a.clone(), normal: na.clone(), distance: plane.distanceToPoint(a) },
+            { position: b.clone(), normal: nb.clone(), distance: plane.distanceToPoint(b) },
+            { position: c.clone(), normal: nc.clone(), distance: plane.distanceToPoint(c) }
+        ];
+
+        clipTriangle(triangle, 1, sides.positive);
+        clipTriangle(triangle, -1, sides.negative);
+    }
+
+    if (source !== geometry) {
+        source.dispose();
+    }
+
+    return {
+        positive: buildSideGeometry(sides.positive, plane.normal.clone().negate()),
+        negative: buildSideGeometry(sides.negative, plane.normal.clone())
+    };
+}
+
+function createSideBuffers() {
+    return {
+        positions: [],
+        normals: [],
+        capPoints: []
+    };
+}
+
+/**
+ * Sutherland–Hodgman 裁剪：保留 sign 一侧的部分，并记录与平面的交点
+ */
+function clipTriangle(triangle, sign, side) {
+    const polygon = [];
+
+    for (let i = 0; i < 3; i++) {
+        const current = triangle[i];
+        const next = triangle[(i + 1) % 3];
+        const currentInside = current.distance * sign >= -EPSILON;
+        const nextInside = next.distance * sign >= -EPSILON;
+
+        if (currentInside) {
+            polygon.push(current);
+        }
+
+        if (currentInside !== nextInside) {
+            const t = current.distance / (current.distance - next.distance);
+            const intersection = {
+                position: current.position.clone().lerp(next.position, t),
+                normal: current.normal.clone().lerp(next.normal, t).normalize(),
+                distance: 0
+            };
+            polygon.push(intersection);
+            side.capPoints.push(intersection.position);
+        }
+    }
+
+    // 扇形三角化（裁剪后最多四个顶点）
+    for (let i = 1; i < polygon.length - 1; i++) {
+        [polygon[0], polygon[i], polygon[i + 1]].forEach(vertex => {
+            side.positions.push(vertex.position.x, vertex.position.y, vertex.position.z);
+            side.normals.push(vertex.normal.x, vertex.normal.y, vertex.normal.z);
+        });
+    }
+}
+
+/**
+ * 生成一侧的几何体：表皮三角形 + 截面
+ * @param {THREE.Vector3} capNormal - 截面朝外的法线方向
+ */
+function buildSideGeometry(side, capNormal) {
+    if (side.positions.length === 0) {
+        return null;
+    }
+
+    const skinVertexCount = side.positions.length / 3;
+    appendCap(side, capNormal);
+    const capVertexCount = side.positions.length / 3 - skinVertexCount;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(side.positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(side.normals, 3));
+    geometry.addGroup(0, skinVertexCount, 0);
+    if (capVertexCount > 0) {
+        geometry.addGroup(skinVertexCount, capVertexCount, 1);
+    }
+
+    return geometry;
+}
+
+/**
+ * 用交点围成截面：在平面内按角度排序后，以中心点扇形三角化
+ * 仅适用于凸截面，当前所有水果几何体都是凸的
+ */
+function appendCap(side, capNormal) {
+    const points = side.capPoints;
+    if (points.length < 3) return;
+
+    const center = new THREE.Vector3();
+    points.forEach(point => center.add(point));
+    center.divideScalar(points.length);
+
+    // 平面内的二维坐标系，u × v = capNormal，保证逆时针即朝外
+    const helper = Math.abs(capNormal.x) < 0.9
+        ? new THREE.Vector3(1, 0, 0)
+        : new THREE.Vector3(0, 1, 0);
+    const u = new THREE.Vector3().crossVectors(helper, capNormal).normalize();
+    const v = new THREE.Vector3().crossVectors(capNormal, u);
+
+    const offset = new THREE.Vector3();
+    const sorted = points
+        .map(point => {
+            offset.subVectors(point, center);
+            return { point, angle: Math.atan2(offset.dot(v), offset.dot(u)) };
+        })
+        .sort((p, q) => p.angle - q.angle);
+
+    for (let i = 0; i < sorted.length; i++) {
+        const current = sorted[i].point;
+        const next = sorted[(i + 1) % sorted.length].point;
+
+        [center, current, next].forEach(vertex => {
+            side.positions.push(vertex.x, vertex.y, vertex.z);
+            side.normals.push(capNormal.x, capNormal.y, capNormal.z);
+        });
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * One Euro Filter
+ * Adaptive low-pass filter for noisy 2D positions (Casiez et al., CHI 2012).
+ *
+ * - The cutoff frequency rises with speed: a slow or resting hand is smoothed
+ *   heavily (no jitter), a fast slash is barely smoothed (little lag).
+ *   cutoff = minCutoff + beta * speed
+ * - Speed is the magnitude of the velocity between raw samples, low-passed at dCutoff
+ *   (raw rather than filtered samples, so the velocity has no lag bias for prediction).
+ * - predict(ms) extrapolates from that velocity to hide detection latency.
+ */
+
+/**
+ * Exponential smoothing factor for a cutoff frequency (Hz) and a time step (seconds)
+ */
+function smoothingFactor(cutoff, elapsed) {
+    const r = 2 * Math.PI * cutoff * elapsed;
+    return r / (r + 1);
+}
+
+export class OneEuroFilter {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.minCutoff=1] - cutoff at rest, in Hz (lower: less jitter, more lag when slow)
+     * @param {number} [options.beta=0] - cutoff increase per unit of speed (higher: less lag when fast)
+     * @param {number} [options.dCutoff=1] - cutoff for the velocity estimate, in Hz
+     */
+    constructor({ minCutoff = 1, beta = 0, dCutoff = 1 } = {}) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+        this.reset();
+    }
+
+    /**
+     * Change parameters without losing the current state
+     */
+    setParameters({ minCutoff = this.minCutoff, beta = this.beta, dCutoff = this.dCutoff }) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+    }
+
+    /**
+     * Forget the previous samples (e.g. the hand left the picture)
+     */
+    reset() {
+        this.value = null;
+        this.lastSample = null;
+        this.velocity = { x: 0, y: 0 };
+        this.lastTime = null;
+    }
+
+    /**
+     * Filter one sample
+     * @param {{x: number, y: number}} point
+     * @param {number} timeMs - sample time in milliseconds
+     * @returns {{x: number, y: number}} filtered position
+     */
+    filter({ x, y }, timeMs) {
+        if (this.value === null) {
+            this.value = { x, y };
+            this.lastSample = { x, y };
+            this.lastTime = timeMs;
+            return { ...this.value };
+        }
+
+        const elapsed = (timeMs - this.lastTime) / 1000;
+        if (elapsed <= 0) {
+            return { ...this.value };
+        }
+        this.lastTime = timeMs;
+
+        const velocityAlpha = smoothingFactor(this.dCutoff, elapsed);
+        this.velocity.x += velocityAlpha * ((x - this.lastSample.x) / elapsed - this.velocity.x);
+        this.velocity.y += velocityAlpha * ((y - this.lastSample.y) / elapsed - this.velocity.y);
+        this.lastSample = { x, y };
+
+        const speed = Math.hypot(this.velocity.x, this.velocity.y);
+        const alpha = smoothingFactor(this.minCutoff + this.beta * speed, elapsed);
+        this.value.x += alpha * (x - this.value.x);
+        this.value.y += alpha * (y - this.value.y);
+
+        return { ...this.value };
+    }
+
+    /**
+     * Filtered position extrapolated along the current velocity
+     * @param {number} ms - how far ahead, in milliseconds (0 gives the filtered position)
+     */
+    predict(ms) {
+        if (this.value === null) return null;
+
+        return {
+            x: this.value.x + this.velocity.x * ms / 1000,
+            y: this.value.y + this.velocity.y * ms / 1000
+        };
+    }
+}
@@ -0,0 +1,85 @@
+/**
+ * 可设定种子的伪随机数生成器
+ * 基于 mulberry32 算法，相同种子始终产生相同序列，用于可复现的水果生成
+ */
+export class SeededRandom {
+    constructor(seed = SeededRandom.createSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * 生成一个新的随机种子（32 位无符号整数）
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * 将任意输入（数字或字符串）规范化为 32 位种子
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        const text = String(seed);
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // 字符串种子使用 FNV-1a 哈希
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * 设置种子并重置序列
+     */
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * 获取当前种子
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * 返回 [0, 1) 区间的随机数，可直接替代 Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * 返回 [min, max) 区间的随机数
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * 返回 [0, max) 区间的随机整数
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * 从数组中随机选取一个元素
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+}
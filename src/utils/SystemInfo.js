@@ -29,12 +29,13 @@ export class SystemInfo {
             browserEl.textContent = this.getBrowserInfo();
         }
 
-        // 窗口大小变化监听
-        window.addEventListener('resize', () => {
+        // 窗口大小变化监听（保存引用，dispose() 时移除）
+        this.handleResize = () => {
             if (resolutionEl) {
                 resolutionEl.textContent = `${window.innerWidth} × ${window.innerHeight}`;
             }
-        });
+        };
+        window.addEventListener('resize', this.handleResize);
     }
 
     /**
@@ -103,4 +104,11 @@ export class SystemInfo {
     getFPS() {
         return this.fps;
     }
+
+    /**
+     * 移除事件监听
+     */
+    dispose() {
+        window.removeEventListener('resize', this.handleResize);
+    }
 }
@@ -0,0 +1,51 @@
+/**
+ * Fetch With Progress
+ * Downloads a file into memory and reports how many bytes have arrived.
+ * Used for the hand model, which is several megabytes and worth a progress bar on slow networks.
+ */
+
+/**
+ * @param {string} url
+ * @param {object} [options]
+ * @param {(progress: { loaded: number, total: number|null }) => void} [options.onProgress] - total is null when the server sends no Content-Length
+ * @param {Function} [options.fetch=globalThis.fetch]
+ * @returns {Promise<Uint8Array>}
+ */
+export async function fetchWithProgress(url, { onProgress = () => {}, fetch = globalThis.fetch } = {}) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Download failed: ${url} (HTTP ${response.status})`);
+    }
+
+    const length = Number(response.headers.get('Content-Length'));
+    const total = length > 0 ? length : null;
+
+    // No streaming support: report once when done
+    if (!response.body || !response.body.getReader) {
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        onProgress({ loaded: bytes.length, total: total || bytes.length });
+        return bytes;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    onProgress({ loaded, total });
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        chunks.push(value);
+        loaded += value.length;
+        onProgress({ loaded, total });
+    }
+
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return bytes;
+}
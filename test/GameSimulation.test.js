@@ -0,0 +1,238 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameSimulation, createPerspectiveView } from '../src/core/GameSimulation.js';
+import { WAVE_FILES } from '../src/config/waves/index.js';
+import { getFruitDefinition } from '../src/config/fruits.js';
+
+const STEP = 1 / 60;
+const NOW = 10000;
+
+/**
+ * 从左到右快速划过屏幕中心的切割路径（1280×720 默认视图）
+ */
+function swipeThroughCenter(hand = 'Right', duration = 50) {
+    return [{
+        hand,
+        points: [
+            { x: 440, y: 360, timestamp: NOW - duration },
+            { x: 840, y: 360, timestamp: NOW }
+        ]
+    }];
+}
+
+/**
+ * 把物体固定在屏幕中心（不受重力、不移动）
+ */
+function parkAtCenter(object) {
+    object.position = { x: 0, y: 0, z: 0 };
+    object.previousPosition = { x: 0, y: 0, z: 0 };
+    object.velocity = { x: 0, y: 0, z: 0 };
+    object.gravity = 0;
+    return object;
+}
+
+function run(simulation, seconds, cuttingPaths = []) {
+    const events = [];
+    const steps = Math.round(seconds / STEP);
+    for (let i = 0; i < steps; i++) {
+        events.push(...simulation.step(STEP, cuttingPaths, NOW));
+    }
+    return events;
+}
+
+function startedSimulation(options) {
+    const simulation = new GameSimulation(options);
+    simulation.reset();
+    simulation.setPaused(false);
+    return simulation;
+}
+
+test('the same seed produces the same game', () => {
+    const play = () => {
+        const simulation = startedSimulation({ seed: 'same-seed' });
+        return run(simulation, 30)
+            .filter(event => event.type === 'spawn')
+            .map(({ object }) => [object.kind, object.fruitType, object.velocity.x, object.velocity.y]);
+    };
+
+    const first = play();
+    assert.ok(first.length > 10);
+    assert.deepEqual(play(), first);
+});
+
+test('nothing spawns while paused, but objects keep moving', () => {
+    const simulation = new GameSimulation({ seed: 1 });
+    const fruit = simulation.spawnFruit({ origin: 'top' });
+    const startY = fruit.position.y;
+
+    const events = run(simulation, 5);
+    assert.deepEqual(events.filter(event => event.type === 'spawn').map(event => event.object), [fruit]);
+    assert.ok(fruit.position.y < startY);
+});
+
+test('difficulty follows the wave file and scales with the spawn rate', () => {
+    const simulation = startedSimulation({ seed: 1 });
+    assert.equal(simulation.spawnInterval, 2.5);
+
+    run(simulation, 25);
+    assert.equal(simulation.spawnInterval, 1.5);
+    assert.ok(simulation.fruitSpeed > 6 && simulation.fruitSpeed < 7);
+
+    simulation.setSpawnRate(0.8);
+    assert.equal(simulation.spawnInterval, 0.75);
+});
+
+test('time scale slows the game clock', () => {
+    const simulation = startedSimulation({ seed: 1 });
+    simulation.setTimeScale(0.5);
+
+    simulation.step(1, [], NOW);
+    assert.equal(simulation.gameTime, 0.5);
+});
+
+test('a fast swipe cuts the fruit under it', () => {
+    const simulation = new GameSimulation({ seed: 1 });
+    const fruit = parkAtCenter(simulation.spawnFruit());
+
+    const events = simulation.step(STEP, swipeThroughCenter('Left'), NOW);
+    const cut = events.find(event => event.type === 'fruitCut');
+
+    assert.equal(cut.object, fruit);
+    assert.equal(cut.fruitType, fruit.fruitType);
+    assert.equal(cut.hand, 'Left');
+    assert.deepEqual(cut.screenPosition, { x: 640, y: 360 });
+    assert.equal(simulation.fruits.length, 0);
+
+    // 已切开的水果不会再被切一次
+    assert.equal(simulation.step(STEP, swipeThroughCenter(), NOW).length, 0);
+});
+
+test('a slow or stale swipe does not cut', () => {
+    const simulation = new GameSimulation({ seed: 1 });
+    parkAtCenter(simulation.spawnFruit());
+
+    // 400 像素用了 2 秒：200 px/s
+    assert.equal(simulation.step(STEP, swipeThroughCenter('Right', 2000), NOW)
+        .filter(event => event.type === 'fruitCut').length, 0);
+    // 快速划动，但已经过去 1 秒
+    assert.equal(simulation.step(STEP, swipeThroughCenter(), NOW + 1000).length, 0);
+
+    simulation.setMinBladeSpeed(0);
+    assert.equal(simulation.step(STEP, swipeThroughCenter('Right', 2000), NOW)[0].type, 'fruitCut');
+});
+
+test('a swipe near the fruit edge cuts, one well clear of it does not', () => {
+    const view = createPerspectiveView();
+    const simulation = new GameSimulation({ seed: 1, view });
+    const fruit = parkAtCenter(simulation.spawnFruit({ types: ['apple'], includePowerUps: false }));
+    const reach = view.getScreenRadius(fruit.position, fruit.radius) + simulation.bladeRadius;
+    const swipeAt = (y) => [{ hand: 'Right', points: [{ x: 440, y }, { x: 840, y }] }];
+
+    assert.equal(simulation.step(STEP, swipeAt(360 + reach + 1), NOW).length, 1); // 只有 spawn 事件
+    assert.equal(simulation.step(STEP, swipeAt(360 + reach - 1), NOW)[0].type, 'fruitCut');
+});
+
+test('a wider blade reaches further', () => {
+    const view = createPerspectiveView();
+    const simulation = new GameSimulation({ seed: 1, view });
+    parkAtCenter(simulation.spawnFruit({ types: ['apple'], includePowerUps: false }));
+    const fruitRadius = view.getScreenRadius({ x: 0, y: 0, z: 0 }, simulation.fruits[0].radius);
+    // 超出默认刀锋的命中距离 5 像素
+    const y = 360 + fruitRadius + simulation.bladeRadius + 5;
+    const swipe = (width) => [{ hand: 'touch-0', width, points: [{ x: 440, y }, { x: 840, y }] }];
+
+    assert.equal(simulation.step(STEP, swipe(1), NOW).length, 1); // 只有 spawn 事件
+    assert.equal(simulation.step(STEP, swipe(2), NOW)[0].type, 'fruitCut');
+});
+
+test('cutting a bomb reports a bomb cut', () => {
+    const simulation = new GameSimulation({ seed: 1 });
+    const bomb = parkAtCenter(simulation.spawnBomb());
+
+    const events = simulation.step(STEP, swipeThroughCenter(), NOW);
+    assert.deepEqual(events.map(event => event.type), ['spawn', 'bombCut']);
+    assert.equal(events[1].object, bomb);
+    assert.equal(simulation.bombs.length, 0);
+});
+
+test('fruit that falls off screen is missed, bonus fruit and bombs are only removed', () => {
+    const simulation = new GameSimulation({ seed: 1 });
+    const fall = (object) => {
+        parkAtCenter(object);
+        object.position.y = -9.99;
+        object.velocity.y = -5;
+        return object;
+    };
+    const fruit = fall(simulation.spawnFruit());
+    const bonus = fall(simulation.spawnFruit({ isBonus: true }));
+    const bomb = fall(simulation.spawnBomb());
+
+    const events = simulation.step(STEP, [], NOW).filter(event => event.type !== 'spawn');
+    assert.deepEqual(events.map(event => [event.type, event.object]), [
+        ['fruitMissed', fruit],
+        ['removed', fruit],
+        ['removed', bonus],
+        ['removed', bomb]
+    ]);
+    assert.equal(simulation.getObjects().length, 0);
+});
+
+test('tossed fruit peaks in the upper middle of the screen', () => {
+    const simulation = new GameSimulation({ seed: 7 });
+    const { halfHeight } = simulation.view.getVisibleExtents();
+
+    ['bottom', 'bottom-left', 'bottom-right'].forEach(origin => {
+        const fruit = simulation.spawnFruit({ origin });
+        assert.ok(fruit.position.y < -halfHeight, `${origin} starts below the screen`);
+
+        let peak = fruit.position.y;
+        while (fruit.velocity.y > 0) {
+            simulation.step(STEP / 10, [], NOW);
+            peak = Math.max(peak, fruit.position.y);
+        }
+        assert.ok(peak > halfHeight * 0.14 && peak < halfHeight * 0.61, `${origin} peaks at ${peak}`);
+    });
+});
+
+test('fan formations launch one object now and the rest staggered', () => {
+    const simulation = startedSimulation({ seed: 3, waves: WAVE_FILES.zen });
+    simulation.spawnWaveEntry({ origin: 'bottom', formation: 'fan', count: 4, stagger: 0.15, fruits: ['apple'], powerUps: false });
+
+    assert.equal(simulation.fruits.length, 1);
+    assert.equal(simulation.pendingSpawns.length, 3);
+
+    run(simulation, 0.5);
+    assert.equal(simulation.fruits.length, 4);
+    assert.ok(simulation.fruits.every(fruit => fruit.fruitType === 'apple'));
+    assert.equal(simulation.pendingSpawns.length, 0);
+});
+
+test('frenzy throws bonus fruit from the sides', () => {
+    const simulation = startedSimulation({ seed: 5, waves: WAVE_FILES.zen });
+    simulation.startFrenzy(1);
+
+    const spawned = run(simulation, 1)
+        .filter(event => event.type === 'spawn')
+        .map(event => event.object);
+    const bonus = spawned.filter(fruit => fruit.isBonus);
+
+    assert.ok(bonus.length >= 3);
+    // 狂热水果从左右两侧抛向中间，不会是特殊水果
+    bonus.forEach(fruit => {
+        assert.equal(Math.sign(fruit.velocity.x), -Math.sign(fruit.position.x));
+        assert.equal(getFruitDefinition(fruit.fruitType).powerUp, undefined);
+    });
+});
+
+test('reset clears the field and replays the fixed seed', () => {
+    const simulation = startedSimulation({ seed: 'abc' });
+    const firstRun = run(simulation, 10).filter(event => event.type === 'spawn').length;
+
+    simulation.reset();
+    assert.equal(simulation.getObjects().length, 0);
+    assert.equal(simulation.gameTime, 0);
+    assert.equal(simulation.isPaused, true);
+
+    simulation.setPaused(false);
+    assert.equal(run(simulation, 10).filter(event => event.type === 'spawn').length, firstRun);
+});
@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InputManager } from '../src/input/InputManager.js';
+import { InputSource } from '../src/input/InputSource.js';
+import { PointerInputSource, getBladeWidth } from '../src/input/PointerInputSource.js';
+
+/**
+ * 800 × 600 的假画布，可派发指针事件
+ */
+function createElement() {
+    const element = new EventTarget();
+    element.getBoundingClientRect = () => ({ left: 0, top: 0, right: 800, bottom: 600, width: 800, height: 600 });
+    return element;
+}
+
+/**
+ * 手动推进的时钟（毫秒）
+ */
+function createClock(start = 10000) {
+    let time = start;
+    return {
+        now: () => time,
+        advance: (ms) => {
+            time += ms;
+        }
+    };
+}
+
+function pointer(element, type, { pointerType = 'mouse', pointerId = 1, isPrimary = true, x = 0, y = 0 } = {}) {
+    element.dispatchEvent(Object.assign(new Event(type), { pointerType, pointerId, isPrimary, clientX: x, clientY: y }));
+}
+
+/**
+ * 返回固定笔画的输入源
+ */
+class FixedSource extends InputSource {
+    constructor(id, strokes) {
+        super(id);
+        this.strokes = strokes;
+    }
+
+    getStrokes() {
+        return this.strokes;
+    }
+
+    isActive() {
+        return this.strokes.length > 0;
+    }
+}
+
+test('strokes from all enabled sources are merged', () => {
+    const manager = new InputManager();
+    const left = { hand: 'left', source: 'hand', points: [] };
+    const mouse = { hand: 'mouse', source: 'mouse', points: [] };
+    manager.addSource(new FixedSource('hands', [left]));
+    const pointerSource = manager.addSource(new FixedSource('pointer', [mouse]));
+
+    assert.deepEqual(manager.update(0), [left, mouse]);
+    assert.equal(manager.isActive(), true);
+
+    pointerSource.enabled = false;
+    assert.deepEqual(manager.update(0), [left]);
+    assert.equal(manager.getSource('pointer'), pointerSource);
+});
+
+test('pointer strokes are mirrored like the game canvas and timestamped', () => {
+    const element = createElement();
+    const source = new PointerInputSource(element);
+
+    pointer(element, 'pointerdown', { x: 100, y: 50 });
+    assert.deepEqual(source.getStrokes(), []);
+
+    pointer(element, 'pointermove', { x: 200, y: 80 });
+    const [stroke] = source.getStrokes();
+    assert.equal(stroke.hand, 'mouse');
+    assert.deepEqual(stroke.points.map(({ x, y }) => [x, y]), [[700, 50], [600, 80]]);
+    assert.ok(stroke.points.every(point => typeof point.timestamp === 'number'));
+    assert.equal(source.isActive(), true);
+
+    source.dispose();
+});
+
+test('released strokes stay briefly, then disappear', () => {
+    const element = createElement();
+    const clock = createClock();
+    const source = new PointerInputSource(element, { releaseDelayMs: 300, now: clock.now });
+
+    pointer(element, 'pointerdown', { x: 10, y: 10 });
+    pointer(element, 'pointermove', { x: 20, y: 10 });
+    pointer(element, 'pointerup');
+    assert.equal(source.isActive(), false);
+    assert.equal(source.getStrokes().length, 1);
+
+    clock.advance(300);
+    source.update();
+    assert.equal(source.getStrokes().length, 1);
+
+    clock.advance(1);
+    source.update();
+    assert.deepEqual(source.getStrokes(), []);
+
+    source.dispose();
+});
+
+test('every finger draws its own stroke, and lifting one keeps the others', () => {
+    const element = createElement();
+    const clock = createClock();
+    const source = new PointerInputSource(element, { mirrored: false, now: clock.now });
+    const points = () => Object.fromEntries(source.getStrokes().map(stroke => [stroke.hand, stroke.points.map(point => point.x)]));
+
+    pointer(element, 'pointerdown', { pointerType: 'touch', pointerId: 1, x: 0 });
+    pointer(element, 'pointerdown', { pointerType: 'touch', pointerId: 2, isPrimary: false, x: 500 });
+    pointer(element, 'pointermove', { pointerType: 'touch', pointerId: 2, x: 510 });
+    pointer(element, 'pointermove', { pointerType: 'touch', pointerId: 1, x: 10 });
+    assert.deepEqual(points(), { 'touch-0': [0, 10], 'touch-1': [500, 510] });
+
+    // 第一根手指抬起后，新手指接替空出来的编号（和颜色）
+    pointer(element, 'pointerup', { pointerType: 'touch', pointerId: 1 });
+    clock.advance(source.releaseDelayMs + 1);
+    source.update();
+    assert.deepEqual(points(), { 'touch-1': [500, 510] });
+
+    pointer(element, 'pointerdown', { pointerType: 'touch', pointerId: 3, x: 300 });
+    pointer(element, 'pointermove', { pointerType: 'touch', pointerId: 3, x: 310 });
+    assert.deepEqual(points(), { 'touch-1': [500, 510], 'touch-0': [300, 310] });
+
+    source.dispose();
+    pointer(element, 'pointermove', { pointerType: 'touch', pointerId: 3, x: 320 });
+    assert.deepEqual(points(), {});
+});
+
+test('fingers beyond the limit are ignored', () => {
+    const element = createElement();
+    const source = new PointerInputSource(element, { maxTouches: 1 });
+
+    pointer(element, 'pointerdown', { pointerType: 'touch', pointerId: 1, x: 0 });
+    pointer(element, 'pointerdown', { pointerType: 'touch', pointerId: 2, x: 500 });
+    pointer(element, 'pointermove', { pointerType: 'touch', pointerId: 2, x: 510 });
+    pointer(element, 'pointermove', { pointerType: 'touch', pointerId: 1, x: 10 });
+    assert.deepEqual(source.getStrokes().map(stroke => stroke.hand), ['touch-0']);
+
+    source.dispose();
+});
+
+test('blade width follows contact size or pressure', () => {
+    assert.equal(getBladeWidth({ pointerType: 'mouse', pressure: 0.5, width: 1, height: 1 }), 1);
+    assert.equal(getBladeWidth({ pointerType: 'touch', pressure: 0.5, width: 1, height: 1 }), 1);
+    assert.equal(getBladeWidth({ pointerType: 'touch', pressure: 0, width: 48, height: 36 }), 2);
+    assert.equal(getBladeWidth({ pointerType: 'touch', width: 400, height: 400 }), 2.5);
+    assert.equal(getBladeWidth({ pointerType: 'pen', pressure: 0.25, width: 1, height: 1 }), 0.5);
+    assert.equal(getBladeWidth({ pointerType: 'pen', pressure: 0.9, width: 2, height: 2 }), 1.8);
+    assert.equal(getBladeWidth({ pointerType: 'pen', pressure: 0.5, width: 12, height: 12 }), 0.5);
+
+    const element = createElement();
+    const source = new PointerInputSource(element);
+    pointer(element, 'pointerdown', { pointerType: 'touch', pointerId: 1 });
+    element.dispatchEvent(Object.assign(new Event('pointermove'),
+        { pointerType: 'touch', pointerId: 1, clientX: 10, clientY: 0, width: 36, height: 36 }));
+    assert.equal(source.getStrokes()[0].width, 1.5);
+    source.dispose();
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OneEuroFilter } from '../src/utils/OneEuroFilter.js';
+import {
+    DEFAULT_HAND_FILTER,
+    normalizeHandFilter,
+    loadHandFilterSettings,
+    saveHandFilterSettings
+} from '../src/config/handFilter.js';
+
+const FRAME_MS = 1000 / 60;
+
+/**
+ * 以 60Hz 采样，返回每个采样点的滤波结果
+ */
+function run(filter, samples) {
+    return samples.map((point, index) => filter.filter(point, index * FRAME_MS));
+}
+
+test('the first sample passes through unchanged', () => {
+    const filter = new OneEuroFilter(DEFAULT_HAND_FILTER);
+    assert.deepEqual(filter.filter({ x: 120, y: 80 }, 0), { x: 120, y: 80 });
+});
+
+test('a resting hand is steadied', () => {
+    const filter = new OneEuroFilter(DEFAULT_HAND_FILTER);
+    // 在 (300, 200) 附近 ±3 像素抖动
+    const samples = Array.from({ length: 120 }, (_, i) => ({ x: 300 + (i % 2 ? 3 : -3), y: 200 + (i % 3) - 1 }));
+
+    const output = run(filter, samples).slice(60);
+    const spread = Math.max(...output.map(p => p.x)) - Math.min(...output.map(p => p.x));
+    assert.ok(spread < 1, `jitter after filtering: ${spread}px`);
+});
+
+test('a fast slash lags far less than with heavy fixed smoothing', () => {
+    const speed = 2000; // 像素/秒
+    const samples = Array.from({ length: 30 }, (_, i) => ({ x: i * FRAME_MS * speed / 1000, y: 300 }));
+
+    const adaptive = run(new OneEuroFilter(DEFAULT_HAND_FILTER), samples);
+    const fixed = run(new OneEuroFilter({ minCutoff: 1, beta: 0 }), samples);
+
+    const lag = samples[29].x - adaptive[29].x;
+    const fixedLag = samples[29].x - fixed[29].x;
+    assert.ok(lag > 0 && lag < 15, `adaptive lag: ${lag}px`);
+    assert.ok(fixedLag > lag * 10, `fixed lag: ${fixedLag}px`);
+});
+
+test('prediction extrapolates along the velocity', () => {
+    const speed = 1200;
+    const filter = new OneEuroFilter(DEFAULT_HAND_FILTER);
+    const samples = Array.from({ length: 90 }, (_, i) => ({ x: 100 + i * FRAME_MS * speed / 1000, y: 400 }));
+    run(filter, samples);
+
+    const last = samples[samples.length - 1];
+    assert.deepEqual(filter.predict(0), { x: filter.value.x, y: filter.value.y });
+
+    // 外推的时间正好等于滤波延迟时，预测位置回到真实位置附近
+    const lagMs = (last.x - filter.value.x) / speed * 1000;
+    const predicted = filter.predict(lagMs);
+    assert.ok(Math.abs(predicted.x - last.x) < 1, `predicted ${predicted.x}, actual ${last.x}`);
+    assert.equal(predicted.y, 400);
+});
+
+test('reset forgets the previous position, parameter changes keep it', () => {
+    const filter = new OneEuroFilter(DEFAULT_HAND_FILTER);
+    filter.filter({ x: 0, y: 0 }, 0);
+    filter.filter({ x: 10, y: 0 }, FRAME_MS);
+
+    filter.setParameters({ beta: 0.05 });
+    assert.equal(filter.beta, 0.05);
+    assert.equal(filter.minCutoff, DEFAULT_HAND_FILTER.minCutoff);
+    assert.notEqual(filter.value, null);
+
+    filter.reset();
+    assert.equal(filter.predict(10), null);
+    assert.deepEqual(filter.filter({ x: 500, y: 50 }, 1000), { x: 500, y: 50 });
+});
+
+test('filter settings are completed, clamped and remembered per hand', () => {
+    assert.deepEqual(normalizeHandFilter({ beta: 5, predictionMs: -3, minCutoff: 'fast' }), {
+        ...DEFAULT_HAND_FILTER,
+        beta: 0.1,
+        predictionMs: 0
+    });
+
+    const items = new Map();
+    const storage = { getItem: (key) => (items.has(key) ? items.get(key) : null), setItem: (key, value) => items.set(key, value) };
+    assert.deepEqual(loadHandFilterSettings(storage), { left: DEFAULT_HAND_FILTER, right: DEFAULT_HAND_FILTER });
+
+    saveHandFilterSettings({ left: DEFAULT_HAND_FILTER, right: { ...DEFAULT_HAND_FILTER, predictionMs: 20 } }, storage);
+    assert.equal(loadHandFilterSettings(storage).right.predictionMs, 20);
+
+    assert.deepEqual(loadHandFilterSettings({ getItem() { throw new Error('denied'); } }).left, DEFAULT_HAND_FILTER);
+});
@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScoreSystem } from '../src/components/ScoreSystem.js';
+import { getRuleset } from '../src/config/rulesets.js';
+
+/**
+ * 创建计分系统并记录结束原因
+ */
+function createScoreSystem(rulesetId) {
+    const scoreSystem = new ScoreSystem(getRuleset(rulesetId));
+    const result = { gameOver: null, combos: [] };
+    scoreSystem.onGameOver = (summary) => { result.gameOver = summary; };
+    scoreSystem.onCombo = (combo) => { result.combos.push(combo); };
+    scoreSystem.start();
+    return { scoreSystem, result };
+}
+
+test('fruit points come from the fruit catalog and respect the multiplier', () => {
+    const { scoreSystem } = createScoreSystem('arcade');
+
+    scoreSystem.cutFruit('apple');
+    assert.equal(scoreSystem.getScore(), 10);
+
+    scoreSystem.setScoreMultiplier(2);
+    scoreSystem.cutFruit('orange');
+    assert.equal(scoreSystem.getScore(), 40);
+});
+
+test('arcade: bombs cost points and a negative score ends the game', () => {
+    const { scoreSystem, result } = createScoreSystem('arcade');
+
+    scoreSystem.cutFruit('apple');
+    scoreSystem.cutFruit('apple');
+    scoreSystem.cutBomb();
+    assert.equal(scoreSystem.getScore(), 0);
+    assert.equal(scoreSystem.getIsGameOver(), false);
+
+    scoreSystem.cutBomb();
+    assert.equal(scoreSystem.getIsGameOver(), true);
+    assert.equal(result.gameOver.reason, 'score');
+    assert.equal(result.gameOver.score, -20);
+});
+
+test('arcade: the game ends when the time runs out', () => {
+    const { scoreSystem, result } = createScoreSystem('arcade');
+
+    scoreSystem.update(59.5);
+    assert.equal(scoreSystem.getIsGameOver(), false);
+
+    scoreSystem.update(1);
+    assert.equal(scoreSystem.getTimeRemaining(), 0);
+    assert.equal(result.gameOver.reason, 'time');
+});
+
+test('arcade: missed fruit costs nothing', () => {
+    const { scoreSystem } = createScoreSystem('arcade');
+
+    scoreSystem.missFruit('apple');
+    assert.equal(scoreSystem.getLives(), null);
+    assert.equal(scoreSystem.getIsGameOver(), false);
+});
+
+test('classic: three missed fruit end the game, missed power-ups are free', () => {
+    const { scoreSystem, result } = createScoreSystem('classic');
+
+    assert.equal(scoreSystem.getLives(), 3);
+    scoreSystem.missFruit('freezeFruit');
+    assert.equal(scoreSystem.getLives(), 3);
+
+    scoreSystem.missFruit('apple');
+    scoreSystem.missFruit('banana');
+    assert.equal(scoreSystem.getLives(), 1);
+    assert.equal(scoreSystem.getIsGameOver(), false);
+
+    scoreSystem.missFruit('apple');
+    assert.equal(scoreSystem.getLives(), 0);
+    assert.equal(result.gameOver.reason, 'lives');
+});
+
+test('classic: any bomb ends the game and the timer never runs out', () => {
+    const { scoreSystem, result } = createScoreSystem('classic');
+
+    scoreSystem.update(1000);
+    assert.equal(scoreSystem.getTimeRemaining(), null);
+    assert.equal(scoreSystem.getIsGameOver(), false);
+
+    scoreSystem.cutBomb();
+    assert.equal(result.gameOver.reason, 'bomb');
+    assert.equal(scoreSystem.getScore(), 0);
+});
+
+test('zen: nothing but the clock ends the game', () => {
+    const { scoreSystem, result } = createScoreSystem('zen');
+
+    scoreSystem.cutBomb();
+    scoreSystem.missFruit('apple');
+    assert.equal(scoreSystem.getIsGameOver(), false);
+
+    scoreSystem.update(90);
+    assert.equal(result.gameOver.reason, 'time');
+});
+
+test('no scoring after the game is over', () => {
+    const { scoreSystem } = createScoreSystem('classic');
+
+    scoreSystem.cutBomb();
+    scoreSystem.cutFruit('apple');
+    assert.equal(scoreSystem.getScore(), 0);
+});
+
+test('three quick cuts with one hand pay a combo bonus once the window closes', () => {
+    const { scoreSystem, result } = createScoreSystem('arcade');
+
+    ['apple', 'apple', 'apple'].forEach(type => {
+        scoreSystem.cutFruit(type, { hand: 'Right', screenPosition: { x: 10, y: 20 } });
+        scoreSystem.update(0.1);
+    });
+    assert.equal(scoreSystem.getScore(), 30);
+
+    scoreSystem.update(0.5);
+    assert.equal(scoreSystem.getScore(), 45);
+    assert.deepEqual(result.combos, [{ hand: 'Right', count: 3, bonus: 15, position: { x: 10, y: 20 } }]);
+});
+
+test('combos are counted per hand and slow cuts do not chain', () => {
+    const { scoreSystem, result } = createScoreSystem('arcade');
+
+    scoreSystem.cutFruit('apple', { hand: 'Left' });
+    scoreSystem.cutFruit('apple', { hand: 'Right' });
+    scoreSystem.cutFruit('apple', { hand: 'Left' });
+    scoreSystem.update(0.5);
+    assert.equal(result.combos.length, 0);
+
+    scoreSystem.cutFruit('apple', { hand: 'Left' });
+    scoreSystem.update(0.31);
+    scoreSystem.cutFruit('apple', { hand: 'Left' });
+    scoreSystem.update(0.31);
+    scoreSystem.cutFruit('apple', { hand: 'Left' });
+    scoreSystem.update(1);
+    assert.equal(result.combos.length, 0);
+});
+
+test('a combo in progress is paid out when the game ends', () => {
+    const { scoreSystem, result } = createScoreSystem('arcade');
+
+    scoreSystem.update(59.9);
+    ['apple', 'apple', 'apple'].forEach(type => scoreSystem.cutFruit(type, { hand: 'Right' }));
+    scoreSystem.update(0.2);
+
+    assert.equal(result.gameOver.reason, 'time');
+    assert.equal(result.gameOver.bestCombo, 3);
+    assert.equal(result.gameOver.score, 45);
+});
+
+test('reset restores the ruleset defaults', () => {
+    const { scoreSystem } = createScoreSystem('classic');
+
+    scoreSystem.cutFruit('apple');
+    scoreSystem.missFruit('apple');
+    scoreSystem.setScoreMultiplier(2);
+    scoreSystem.reset();
+
+    assert.equal(scoreSystem.getScore(), 0);
+    assert.equal(scoreSystem.getLives(), 3);
+    assert.equal(scoreSystem.scoreMultiplier, 1);
+    assert.equal(scoreSystem.getIsGameOver(), false);
+});
@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WavePlayer } from '../src/core/WavePlayer.js';
+import { WAVE_FILES } from '../src/config/waves/index.js';
+import { SeededRandom } from '../src/utils/SeededRandom.js';
+
+const wave = (overrides = {}) => ({
+    start: 0,
+    spawnInterval: 1,
+    fruitSpeed: 5,
+    bombChance: 0,
+    spawns: [{ origin: 'top' }],
+    ...overrides
+});
+
+test('every bundled wave file parses', () => {
+    Object.values(WAVE_FILES).forEach(file => {
+        assert.doesNotThrow(() => new WavePlayer(file), file.id);
+    });
+});
+
+test('arcade difficulty steps up at 20 and 40 seconds', () => {
+    const player = new WavePlayer(WAVE_FILES.arcade);
+
+    assert.equal(player.getWave(0).name, 'Warm-up');
+    assert.equal(player.getSpawnInterval(19.9), 2.5);
+    assert.equal(player.getWave(20).name, 'Build-up');
+    assert.equal(player.getSpawnInterval(20), 1.5);
+    assert.equal(player.getWave(40).name, 'Finale');
+    assert.equal(player.getSpawnInterval(59), 1.0);
+    assert.equal(player.getBombChance(50), 0.2);
+});
+
+test('ramped values interpolate within a wave and hold after the last one ends', () => {
+    const player = new WavePlayer(WAVE_FILES.arcade);
+
+    assert.equal(player.getFruitSpeed(0), 5.0);
+    assert.equal(player.getFruitSpeed(10), 5.5);
+    assert.equal(player.getFruitSpeed(30), 6.5);
+    assert.equal(player.getFruitSpeed(60), 8.0);
+    assert.equal(player.getFruitSpeed(120), 8.0);
+});
+
+test('classic keeps getting harder until the endless wave', () => {
+    const player = new WavePlayer(WAVE_FILES.classic);
+
+    assert.equal(player.getSpawnInterval(0), 2.0);
+    assert.ok(player.getSpawnInterval(40) < player.getSpawnInterval(20));
+    assert.ok(player.getBombChance(40) > player.getBombChance(0));
+    assert.equal(player.getWave(100).name, 'Endless');
+    assert.equal(player.getSpawnInterval(500), 0.8);
+    assert.equal(player.getFruitSpeed(500), 8.0);
+});
+
+test('zen never spawns bombs', () => {
+    const player = new WavePlayer(WAVE_FILES.zen);
+
+    [0, 29, 30, 200].forEach(time => assert.equal(player.getBombChance(time), 0));
+    assert.equal(player.getSpawnInterval(30), 0.9);
+});
+
+test('waves are sorted by start time and the first wave applies before it starts', () => {
+    const player = new WavePlayer({
+        id: 'test',
+        waves: [wave({ name: 'late', start: 10, spawnInterval: 2 }), wave({ name: 'early', start: 5 })]
+    });
+
+    assert.equal(player.getWave(0).name, 'early');
+    assert.equal(player.getWave(7).name, 'early');
+    assert.equal(player.getWave(10).name, 'late');
+});
+
+test('pickSpawn fills in formation defaults and follows weights', () => {
+    const player = new WavePlayer({
+        id: 'test',
+        waves: [wave({
+            spawns: [
+                { origin: 'top', weight: 0 },
+                { origin: ['bottom-left', 'bottom-right'], formation: 'fan', fruits: ['apple'], powerUps: false }
+            ]
+        })]
+    });
+    const random = new SeededRandom(42);
+
+    for (let i = 0; i < 20; i++) {
+        const spawn = player.pickSpawn(0, random);
+        assert.equal(spawn.formation, 'fan');
+        assert.equal(spawn.count, 4);
+        assert.equal(spawn.stagger, 0.15);
+        assert.deepEqual(spawn.fruits, ['apple']);
+        assert.equal(spawn.powerUps, false);
+        assert.ok(['bottom-left', 'bottom-right'].includes(spawn.origin));
+    }
+});
+
+test('pickSpawn is reproducible for the same seed', () => {
+    const player = new WavePlayer(WAVE_FILES.arcade);
+    const sequence = (seed) => {
+        const random = new SeededRandom(seed);
+        return Array.from({ length: 10 }, (_, i) => player.pickSpawn(i * 5, random));
+    };
+
+    assert.deepEqual(sequence('replay'), sequence('replay'));
+});
+
+test('invalid wave files are rejected with the file id', () => {
+    assert.throws(() => new WavePlayer({ id: 'empty', waves: [] }), /Wave file "empty": "waves" must be a non-empty array/);
+    assert.throws(() => new WavePlayer(null), /\(unnamed\)/);
+    assert.throws(
+        () => new WavePlayer({ id: 'x', waves: [wave({ spawns: [{ origin: 'middle' }] })] }),
+        /unknown origin "middle"/
+    );
+    assert.throws(
+        () => new WavePlayer({ id: 'x', waves: [wave({ spawns: [{ origin: 'top', formation: 'circle' }] })] }),
+        /unknown formation "circle"/
+    );
+    assert.throws(
+        () => new WavePlayer({ id: 'x', waves: [wave({ spawns: [{ origin: 'top', fruits: ['durian'] }] })] }),
+        /unknown fruit "durian"/
+    );
+    assert.throws(
+        () => new WavePlayer({ id: 'x', waves: [wave({ fruitSpeed: { from: 5, to: 8 } })] }),
+        /needs a "duration"/
+    );
+    assert.throws(
+        () => new WavePlayer({ id: 'x', waves: [wave({ bombChance: 'high' })] }),
+        /"bombChance" must be a number/
+    );
+});
+
+test('a zero-length ramp holds its starting value', () => {
+    const player = new WavePlayer({
+        id: 'x',
+        waves: [wave({ start: 0, duration: 0, fruitSpeed: { from: 5, to: 8 } })]
+    });
+
+    assert.equal(player.getFruitSpeed(0), 5);
+    assert.equal(player.getFruitSpeed(10), 5);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    buildVideoConstraints,
+    getCameraResolution,
+    loadCameraSettings,
+    saveCameraSettings,
+    DEFAULT_CAMERA_SETTINGS
+} from '../src/config/camera.js';
+
+/**
+ * 内存中的 localStorage
+ */
+function createStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+test('without a chosen device the front camera is preferred at the chosen resolution', () => {
+    assert.deepEqual(buildVideoConstraints(DEFAULT_CAMERA_SETTINGS), {
+        width: { ideal: 1280, min: 640 },
+        height: { ideal: 720, min: 480 },
+        facingMode: 'user'
+    });
+});
+
+test('a chosen device is required exactly', () => {
+    const constraints = buildVideoConstraints({ deviceId: 'usb-cam', resolution: '1080p' });
+
+    assert.deepEqual(constraints.deviceId, { exact: 'usb-cam' });
+    assert.equal(constraints.facingMode, undefined);
+    assert.equal(constraints.width.ideal, 1920);
+    assert.equal(constraints.height.ideal, 1080);
+});
+
+test('unknown resolutions fall back to the default', () => {
+    assert.equal(getCameraResolution('8k').id, DEFAULT_CAMERA_SETTINGS.resolution);
+});
+
+test('the camera choice is remembered', () => {
+    const storage = createStorage();
+    assert.deepEqual(loadCameraSettings(storage), DEFAULT_CAMERA_SETTINGS);
+
+    saveCameraSettings({ deviceId: 'usb-cam', resolution: '480p' }, storage);
+    assert.deepEqual(loadCameraSettings(storage), { deviceId: 'usb-cam', resolution: '480p' });
+});
+
+test('broken or missing storage gives the defaults', () => {
+    assert.deepEqual(loadCameraSettings(createStorage({ 'fruit-ninja-camera': '{not json' })), DEFAULT_CAMERA_SETTINGS);
+    assert.deepEqual(loadCameraSettings(createStorage({ 'fruit-ninja-camera': '{"deviceId":42,"resolution":"8k"}' })),
+        DEFAULT_CAMERA_SETTINGS);
+    assert.deepEqual(loadCameraSettings({ getItem() { throw new Error('denied'); } }), DEFAULT_CAMERA_SETTINGS);
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    findCuttingSegment,
+    isBladeSegment,
+    pointToLineDistance,
+    segmentToSegmentDistance,
+    segmentsIntersect
+} from '../src/core/collision.js';
+
+const BLADE = { bladeRadius: 10, minBladeSpeed: 400, maxSegmentAge: 250, now: 1000 };
+
+test('pointToLineDistance measures to the segment, not the infinite line', () => {
+    const start = { x: 0, y: 0 };
+    const end = { x: 10, y: 0 };
+
+    assert.equal(pointToLineDistance({ x: 5, y: 3 }, start, end), 3);
+    assert.equal(pointToLineDistance({ x: -3, y: 4 }, start, end), 5);
+    assert.equal(pointToLineDistance({ x: 13, y: 4 }, start, end), 5);
+});
+
+test('pointToLineDistance handles a zero-length segment', () => {
+    const point = { x: 2, y: 2 };
+    assert.equal(pointToLineDistance({ x: 5, y: 6 }, point, point), 5);
+});
+
+test('segmentsIntersect only reports proper crossings', () => {
+    const a1 = { x: 0, y: 0 };
+    const a2 = { x: 10, y: 10 };
+
+    assert.equal(segmentsIntersect(a1, a2, { x: 0, y: 10 }, { x: 10, y: 0 }), true);
+    // 端点接触
+    assert.equal(segmentsIntersect(a1, a2, { x: 10, y: 10 }, { x: 20, y: 0 }), false);
+    // 共线重叠
+    assert.equal(segmentsIntersect(a1, a2, { x: 5, y: 5 }, { x: 15, y: 15 }), false);
+    // 平行
+    assert.equal(segmentsIntersect(a1, a2, { x: 0, y: 1 }, { x: 10, y: 11 }), false);
+});
+
+test('segmentToSegmentDistance is zero for crossings and the gap otherwise', () => {
+    assert.equal(segmentToSegmentDistance({ x: 0, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }, { x: 10, y: 0 }), 0);
+    assert.equal(segmentToSegmentDistance({ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 4 }, { x: 10, y: 4 }), 4);
+    // 垂直错开：最近点是端点
+    assert.equal(segmentToSegmentDistance({ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 13, y: -5 }, { x: 13, y: 5 }), 3);
+});
+
+test('isBladeSegment accepts paths without timestamps', () => {
+    assert.equal(isBladeSegment({ x: 0, y: 0 }, { x: 1, y: 0 }, BLADE), true);
+});
+
+test('isBladeSegment requires the minimum blade speed', () => {
+    // 100 像素 / 100ms = 1000 px/s
+    assert.equal(isBladeSegment({ x: 0, y: 0, timestamp: 900 }, { x: 100, y: 0, timestamp: 1000 }, BLADE), true);
+    // 10 像素 / 100ms = 100 px/s
+    assert.equal(isBladeSegment({ x: 0, y: 0, timestamp: 900 }, { x: 10, y: 0, timestamp: 1000 }, BLADE), false);
+    assert.equal(
+        isBladeSegment({ x: 0, y: 0, timestamp: 900 }, { x: 10, y: 0, timestamp: 1000 }, { ...BLADE, minBladeSpeed: 0 }),
+        true
+    );
+});
+
+test('isBladeSegment treats points in the same millisecond as 1ms apart', () => {
+    assert.equal(isBladeSegment({ x: 0, y: 0, timestamp: 1000 }, { x: 1, y: 0, timestamp: 1000 }, BLADE), true);
+    assert.equal(isBladeSegment({ x: 0, y: 0, timestamp: 1000 }, { x: 0, y: 0, timestamp: 1000 }, BLADE), false);
+});
+
+test('isBladeSegment expires old segments', () => {
+    const p1 = { x: 0, y: 0, timestamp: 600 };
+    const p2 = { x: 100, y: 0, timestamp: 700 };
+
+    assert.equal(isBladeSegment(p1, p2, { ...BLADE, now: 950 }), true);
+    assert.equal(isBladeSegment(p1, p2, { ...BLADE, now: 951 }), false);
+});
+
+test('findCuttingSegment hits when the blade passes within object radius plus blade radius', () => {
+    const paths = [{ hand: 'Right', points: [{ x: 0, y: 100 }, { x: 200, y: 100 }] }];
+    const sweepAt = (y) => ({ start: { x: 100, y }, end: { x: 100, y }, radius: 20 });
+
+    assert.deepEqual(findCuttingSegment(sweepAt(130), paths, BLADE), {
+        start: paths[0].points[0],
+        end: paths[0].points[1],
+        hand: 'Right'
+    });
+    assert.equal(findCuttingSegment(sweepAt(131), paths, BLADE), null);
+});
+
+test('findCuttingSegment catches fast objects that cross the blade between steps', () => {
+    const paths = [{ hand: 'Left', points: [{ x: 0, y: 100 }, { x: 200, y: 100 }] }];
+    // 上一步在刀锋上方，这一步已经到了下方，两个位置都不在命中范围内
+    const sweep = { start: { x: 100, y: 0 }, end: { x: 100, y: 200 }, radius: 5 };
+
+    assert.notEqual(findCuttingSegment(sweep, paths, BLADE), null);
+    assert.equal(findCuttingSegment({ ...sweep, start: sweep.end }, paths, BLADE), null);
+});
+
+test('findCuttingSegment only checks the most recent points of each path', () => {
+    const points = [{ x: 0, y: 100 }, { x: 200, y: 100 }];
+    // 之后的 8 个点远离物体
+    for (let i = 0; i < 8; i++) {
+        points.push({ x: 1000 + i * 10, y: 1000 });
+    }
+    const sweep = { start: { x: 100, y: 100 }, end: { x: 100, y: 100 }, radius: 20 };
+
+    assert.equal(findCuttingSegment(sweep, [{ hand: 'Right', points }], BLADE), null);
+    assert.notEqual(findCuttingSegment(sweep, [{ hand: 'Right', points: points.slice(0, 8) }], BLADE), null);
+});
+
+test('findCuttingSegment skips slow segments and reports the hand of the path that hit', () => {
+    const sweep = { start: { x: 100, y: 100 }, end: { x: 100, y: 100 }, radius: 20 };
+    const slow = { hand: 'Left', points: [{ x: 90, y: 100, timestamp: 900 }, { x: 110, y: 100, timestamp: 1000 }] };
+    const fast = { hand: 'Right', points: [{ x: 0, y: 100, timestamp: 900 }, { x: 200, y: 100, timestamp: 1000 }] };
+
+    assert.equal(findCuttingSegment(sweep, [slow], BLADE), null);
+    assert.equal(findCuttingSegment(sweep, [slow, fast], BLADE).hand, 'Right');
+});
+
+test('findCuttingSegment ignores paths with fewer than two points', () => {
+    const sweep = { start: { x: 0, y: 0 }, end: { x: 0, y: 0 }, radius: 50 };
+
+    assert.equal(findCuttingSegment(sweep, [{ hand: 'Right', points: [{ x: 0, y: 0 }] }], BLADE), null);
+    assert.equal(findCuttingSegment(sweep, [], BLADE), null);
+});
@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyHandPose, GestureClassifier } from '../src/input/GestureClassifier.js';
+import {
+    DEFAULT_GESTURE_BINDINGS,
+    getGestureAction,
+    resolveGestureBindings,
+    loadGestureBindings
+} from '../src/config/gestures.js';
+
+const FINGER_X = [0.45, 0.49, 0.53, 0.57];
+const THUMBS = {
+    out: [[0.36, 0.70], [0.32, 0.68]],
+    tucked: [[0.44, 0.70], [0.48, 0.72]],
+    up: [[0.40, 0.64], [0.38, 0.56]],
+    pinch: [[0.40, 0.66], [0.40, 0.62]]
+};
+
+/**
+ * 生成一只手的 21 个关键点（手腕在下，手指朝上）
+ * @param {object} pose
+ * @param {Array<boolean|'pinch'>} pose.fingers - 食指到小指是否伸直（'pinch' 表示指尖弯向拇指）
+ * @param {string} pose.thumb - out、tucked、up 或 pinch
+ * @param {{x: number, y: number, scale: number}} [offset] - 平移和缩放（模拟手的移动和远近）
+ */
+function createHand({ fingers, thumb }, { x = 0, y = 0, scale = 1 } = {}) {
+    const points = [[0.5, 0.8], [0.44, 0.77], [0.40, 0.73], ...THUMBS[thumb]];
+
+    fingers.forEach((state, index) => {
+        const fx = FINGER_X[index];
+        if (state === 'pinch') {
+            points.push([fx, 0.65], [0.44, 0.60], [0.42, 0.60], [0.41, 0.61]);
+        } else if (state) {
+            points.push([fx, 0.65], [fx, 0.60], [fx, 0.57], [fx, 0.54]);
+        } else {
+            points.push([fx, 0.65], [fx, 0.61], [fx, 0.64], [fx, 0.67]);
+        }
+    });
+
+    // 以手腕为中心缩放
+    return points.map(([px, py]) => ({
+        x: 0.5 + (px - 0.5) * scale + x,
+        y: 0.8 + (py - 0.8) * scale + y,
+        z: 0
+    }));
+}
+
+const POSES = {
+    open_palm: { fingers: [true, true, true, true], thumb: 'out' },
+    fist: { fingers: [false, false, false, false], thumb: 'tucked' },
+    pinch: { fingers: ['pinch', true, true, true], thumb: 'pinch' },
+    point: { fingers: [true, false, false, false], thumb: 'tucked' },
+    thumbs_up: { fingers: [false, false, false, false], thumb: 'up' }
+};
+
+test('each pose is recognized with high confidence, near or far from the camera', () => {
+    Object.entries(POSES).forEach(([gesture, pose]) => {
+        [1, 0.5].forEach(scale => {
+            const result = classifyHandPose(createHand(pose, { scale }));
+            assert.equal(result.gesture, gesture, `${gesture} at scale ${scale}`);
+            assert.ok(result.confidence >= 0.8, `${gesture} confidence ${result.confidence}`);
+        });
+    });
+});
+
+test('ambiguous poses are not recognized', () => {
+    // 食指和中指伸直（“V” 手势）不属于任何手势
+    const result = classifyHandPose(createHand({ fingers: [true, true, false, false], thumb: 'tucked' }));
+    assert.equal(result.gesture, 'none');
+});
+
+test('a gesture fires once after it has been held, and again only after release', () => {
+    const settings = { enterConfidence: 0.7, exitConfidence: 0.4, holdMs: 400, holdMsByGesture: {}, maxHoldMovement: 0.5 };
+    const classifier = new GestureClassifier(settings);
+    const fist = { landmarks: createHand(POSES.fist) };
+    const palm = { landmarks: createHand(POSES.open_palm) };
+
+    assert.deepEqual(classifier.update({ left: fist, right: null }, 0), []);
+    assert.deepEqual(classifier.update({ left: fist, right: null }, 300), []);
+
+    const [event] = classifier.update({ left: fist, right: null }, 450);
+    assert.equal(event.hand, 'left');
+    assert.equal(event.gesture, 'fist');
+    assert.equal(classifier.getGesture('left').gesture, 'fist');
+
+    // 继续握拳不会重复触发
+    assert.deepEqual(classifier.update({ left: fist }, 2000), []);
+
+    // 换成张开手掌：握拳结束，新手势重新计时
+    assert.deepEqual(classifier.update({ left: palm }, 2100), []);
+    assert.equal(classifier.getGesture('left').gesture, 'none');
+    assert.deepEqual(classifier.update({ left: palm }, 2600).map(e => e.gesture), ['open_palm']);
+
+    // 手离开画面后状态清空
+    classifier.update({ left: null }, 2700);
+    assert.equal(classifier.getGesture('left').gesture, 'none');
+});
+
+test('a moving hand does not trigger gestures', () => {
+    const classifier = new GestureClassifier({
+        enterConfidence: 0.7, exitConfidence: 0.4, holdMs: 400, holdMsByGesture: {}, maxHoldMovement: 0.5
+    });
+
+    // 张开手掌划过画面（每 100ms 移动约半个手掌）
+    for (let t = 0; t <= 1000; t += 100) {
+        const landmarks = createHand(POSES.open_palm, { x: t * 0.0009 });
+        assert.deepEqual(classifier.update({ right: { landmarks } }, t), [], `t=${t}`);
+    }
+});
+
+test('per-gesture hold times apply', () => {
+    const classifier = new GestureClassifier({
+        enterConfidence: 0.7, exitConfidence: 0.4, holdMs: 100, holdMsByGesture: { open_palm: 800 }, maxHoldMovement: 0.5
+    });
+    const palm = { landmarks: createHand(POSES.open_palm) };
+
+    classifier.update({ right: palm }, 0);
+    assert.deepEqual(classifier.update({ right: palm }, 500), []);
+    assert.equal(classifier.update({ right: palm }, 800).length, 1);
+});
+
+test('gestures map to commands per screen, with overrides', () => {
+    const bindings = resolveGestureBindings(null);
+    assert.deepEqual(bindings, DEFAULT_GESTURE_BINDINGS);
+    assert.equal(getGestureAction(bindings, 'playing', 'open_palm'), 'pause');
+    assert.equal(getGestureAction(bindings, 'starting', 'pinch'), 'confirm');
+    assert.equal(getGestureAction(bindings, 'restarting', 'thumbs_up'), 'restart');
+    assert.equal(getGestureAction(bindings, 'replaying', 'fist'), null);
+
+    const custom = resolveGestureBindings({
+        playing: { open_palm: null, point: 'pause', fist: 'explode' },
+        unknown: { fist: 'pause' }
+    });
+    assert.deepEqual(custom.playing, { point: 'pause' });
+    assert.deepEqual(custom.paused, DEFAULT_GESTURE_BINDINGS.paused);
+    assert.equal(custom.unknown, undefined);
+});
+
+test('saved overrides are loaded, broken storage gives the defaults', () => {
+    const storage = { getItem: () => JSON.stringify({ paused: { thumbs_up: 'restart' } }) };
+    assert.equal(loadGestureBindings(storage).paused.thumbs_up, 'restart');
+
+    assert.deepEqual(loadGestureBindings({ getItem: () => '{broken' }), DEFAULT_GESTURE_BINDINGS);
+    assert.deepEqual(loadGestureBindings({ getItem() { throw new Error('denied'); } }), DEFAULT_GESTURE_BINDINGS);
+});
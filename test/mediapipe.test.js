@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import {
+    MEDIAPIPE_VERSION,
+    HAND_MODEL_SHA256,
+    CDN_WASM_URL,
+    CDN_MODEL_URL,
+    getMediapipeSources,
+    getMediapipeSettings
+} from '../src/config/mediapipe.js';
+import { fetchWithProgress } from '../src/utils/fetchWithProgress.js';
+
+test('the pinned MediaPipe version matches package.json and the CDN URL', async () => {
+    const packageJson = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'));
+
+    assert.equal(packageJson.dependencies['@mediapipe/tasks-vision'], MEDIAPIPE_VERSION);
+    assert.ok(CDN_WASM_URL.includes(`@${MEDIAPIPE_VERSION}/`));
+    assert.ok(!CDN_WASM_URL.includes('@latest'));
+    assert.match(HAND_MODEL_SHA256, /^[0-9a-f]{64}$/);
+});
+
+test('assets are self-hosted unless the CDN fallback is enabled', () => {
+    const sources = getMediapipeSources(getMediapipeSettings({ BASE_URL: '/game/' }));
+    assert.deepEqual(sources, [{
+        name: 'self-hosted',
+        wasmUrl: `/game/mediapipe/wasm/${MEDIAPIPE_VERSION}`,
+        modelUrl: '/game/mediapipe/models/hand_landmarker/float16/1/hand_landmarker.task'
+    }]);
+
+    const withFallback = getMediapipeSources(getMediapipeSettings({
+        VITE_MEDIAPIPE_ASSET_BASE: 'https://assets.example.com/mp',
+        VITE_MEDIAPIPE_CDN_FALLBACK: 'true'
+    }));
+    assert.deepEqual(withFallback.map(source => source.name), ['self-hosted', 'cdn']);
+    assert.equal(withFallback[0].wasmUrl, `https://assets.example.com/mp/wasm/${MEDIAPIPE_VERSION}`);
+    assert.deepEqual(withFallback[1], { name: 'cdn', wasmUrl: CDN_WASM_URL, modelUrl: CDN_MODEL_URL });
+});
+
+test('downloads report progress and return the whole file', async () => {
+    const chunks = [new Uint8Array([1, 2, 3]), new Uint8Array([4, 5])];
+    const fetch = async () => new Response(new ReadableStream({
+        start(controller) {
+            chunks.forEach(chunk => controller.enqueue(chunk));
+            controller.close();
+        }
+    }), { headers: { 'Content-Length': '5' } });
+
+    const progress = [];
+    const bytes = await fetchWithProgress('model.task', { fetch, onProgress: (p) => progress.push(p) });
+
+    assert.deepEqual([...bytes], [1, 2, 3, 4, 5]);
+    assert.deepEqual(progress, [
+        { loaded: 0, total: 5 },
+        { loaded: 3, total: 5 },
+        { loaded: 5, total: 5 }
+    ]);
+});
+
+test('failed downloads are rejected', async () => {
+    const fetch = async () => new Response('missing', { status: 404 });
+    await assert.rejects(fetchWithProgress('model.task', { fetch }), /Download failed: model\.task \(HTTP 404\)/);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdaptiveQualityController } from '../src/config/performance.js';
+
+/**
+ * 返回固定帧率、记录日志的假 PerformanceMonitor
+ */
+function createMonitor(fps) {
+    const monitor = {
+        fps,
+        logs: [],
+        getMetrics: () => ({ fps: monitor.fps }),
+        log: (message) => monitor.logs.push(message)
+    };
+    return monitor;
+}
+
+/**
+ * 以 60Hz 调用 update，持续 seconds 秒
+ */
+function run(controller, seconds, start = 0) {
+    for (let now = start; now < start + seconds * 1000; now += 1000 / 60) {
+        controller.update(now);
+    }
+    return start + seconds * 1000;
+}
+
+test('a device holding its target frame rate never climbs above its capability', () => {
+    const monitor = createMonitor(30);
+    const levels = [];
+    const controller = new AdaptiveQualityController({
+        monitor,
+        config: { targetFps: 30, deviceCapability: 'low' },
+        onChange: (level) => levels.push(level.name)
+    });
+
+    run(controller, 60);
+    assert.equal(controller.getLevel().name, 'low');
+    assert.deepEqual(levels, []);
+    assert.deepEqual(monitor.logs, []);
+});
+
+test('quality drops when slow and recovers only up to the starting level', () => {
+    const monitor = createMonitor(40);
+    const levels = [];
+    const controller = new AdaptiveQualityController({
+        monitor,
+        config: { targetFps: 60, deviceCapability: 'medium' },
+        onChange: (level) => levels.push(level.name)
+    });
+
+    const now = run(controller, 5);
+    assert.equal(controller.getLevel().name, 'minimal');
+
+    monitor.fps = 60;
+    run(controller, 60, now);
+    assert.equal(controller.getLevel().name, 'medium');
+    assert.deepEqual(levels, ['low', 'minimal', 'low', 'medium']);
+});
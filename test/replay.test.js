@@ -0,0 +1,182 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameSimulation, createPerspectiveView } from '../src/core/GameSimulation.js';
+import {
+    ReplayRecorder,
+    ReplayPlayer,
+    serializeReplay,
+    parseReplay,
+    findEventMismatch
+} from '../src/core/replay.js';
+
+const STEP = 1 / 60;
+const START = 50000;
+const VIEW = { width: 1280, height: 720 };
+
+function createRecorder(view = VIEW) {
+    return new ReplayRecorder({ seed: 42, mode: 'zen', spawnRate: 0.4, minBladeSpeed: 400, fixedStep: STEP, view });
+}
+
+/**
+ * 来回扫过屏幕中间的一只手：每步追加一个点，只保留最近 12 个点，偶尔抬手
+ */
+function sweepingHand(step, now) {
+    if (step % 90 >= 80) return [];
+
+    const points = [];
+    for (let i = Math.max(0, step - 11); i <= step; i++) {
+        const phase = (i % 90) / 80;
+        points.push({
+            x: 100 + 1080 * Math.abs(Math.sin(phase * Math.PI)) + 0.123,
+            y: 300 + 120 * Math.sin(i / 7) + 0.456,
+            timestamp: now - (step - i) * 16.6
+        });
+    }
+    return [{ hand: 'Right', points }];
+}
+
+/**
+ * 每步的结果事件：与 index.js 录制的格式相同
+ */
+function toReplayEvents(step, events) {
+    return events.flatMap(event => {
+        if (event.type === 'fruitCut') return [[step, 'fruitCut', event.fruitType, event.hand]];
+        if (event.type === 'bombCut') return [[step, 'bombCut']];
+        if (event.type === 'fruitMissed') return [[step, 'fruitMissed', event.fruitType]];
+        return [];
+    });
+}
+
+function startedSimulation(view) {
+    const simulation = new GameSimulation({ seed: 42, view: createPerspectiveView(view) });
+    simulation.reset();
+    simulation.setPaused(false);
+    return simulation;
+}
+
+function recordRun(steps) {
+    const simulation = startedSimulation(VIEW);
+    const recorder = createRecorder();
+
+    for (let step = 0; step < steps; step++) {
+        const now = START + Math.round(step * 16.67);
+        const cuttingPaths = recorder.recordStep(sweepingHand(step, now), now);
+        simulation.step(STEP, cuttingPaths, now).forEach(event => {
+            toReplayEvents(step, [event]).forEach(([, type, ...details]) => recorder.recordEvent(type, ...details));
+        });
+    }
+    return recorder.finish({ score: 0, reason: 'time' });
+}
+
+test('the player returns the recorded paths, clock and view for every step', () => {
+    const recorder = createRecorder();
+    const recorded = [];
+
+    for (let step = 0; step < 200; step++) {
+        const now = START + step * 17;
+        recorded.push({ cuttingPaths: recorder.recordStep(sweepingHand(step, now), now), now });
+    }
+    const replay = parseReplay(serializeReplay(recorder.finish({ score: 10, reason: 'time' })));
+    const player = new ReplayPlayer(replay);
+
+    assert.equal(player.stepCount, 200);
+    recorded.forEach(expected => {
+        const { cuttingPaths, now, view } = player.nextStep();
+        assert.equal(now, expected.now);
+        assert.deepEqual(cuttingPaths, expected.cuttingPaths);
+        assert.deepEqual(view, VIEW);
+    });
+    assert.equal(player.nextStep(), null);
+    assert.ok(player.isFinished());
+});
+
+test('recorded paths are quantized and only new points are stored', () => {
+    const recorder = createRecorder();
+    const [path] = recorder.recordStep([{ hand: 'Left', points: [{ x: 1.2345, y: 6.789, timestamp: START }] }], START);
+    assert.deepEqual(path.points, [{ x: 1.23, y: 6.79, timestamp: START }]);
+
+    const second = { x: 5, y: 5, timestamp: START + 16 };
+    recorder.recordStep([{ hand: 'Left', points: [path.points[0], second] }], START + 16);
+    recorder.recordStep([{ hand: 'Left', points: [second] }], START + 32);
+    recorder.recordStep([{ hand: 'Left', points: [second] }], START + 48);
+    recorder.recordStep([], START + 64);
+
+    assert.deepEqual(recorder.finish({ score: 0, reason: 'time' }).input, [
+        [0, [['Left', 0, [1.23, 6.79, 0]]]],
+        [1, [['Left', 0, [5, 5, 16]]]],
+        [2, [['Left', 1, []]]],
+        [4, []]
+    ]);
+});
+
+test('blade widths are recorded and played back', () => {
+    const recorder = createRecorder();
+    const point = (x, t) => ({ x, y: 100, timestamp: START + t });
+    const steps = [
+        [{ hand: 'touch-0', points: [point(10, 0)], width: 1.5 }],
+        [{ hand: 'touch-0', points: [point(10, 0), point(20, 16)], width: 1.5 }],
+        [{ hand: 'touch-0', points: [point(10, 0), point(20, 16)], width: 2.25 },
+            { hand: 'mouse', points: [point(300, 16)], width: 1 }]
+    ];
+    const recorded = steps.map((paths, step) => recorder.recordStep(paths, START + step * 16));
+
+    const replay = parseReplay(serializeReplay(recorder.finish({ score: 0, reason: 'time' })));
+    assert.deepEqual(replay.input[2], [2, [['touch-0', 0, [], 2.25], ['mouse', 0, [300, 100, 16]]]]);
+
+    const player = new ReplayPlayer(replay);
+    recorded.forEach(expected => assert.deepEqual(player.nextStep().cuttingPaths, expected));
+    assert.equal(recorded[2][0].width, 2.25);
+    assert.equal(recorded[2][1].width, undefined);
+});
+
+test('a canvas resize takes effect from the next step', () => {
+    const recorder = createRecorder();
+    recorder.recordStep([], START);
+    recorder.setView({ width: 800, height: 600 });
+    recorder.recordStep([], START + 16);
+
+    const player = new ReplayPlayer(recorder.finish({ score: 0, reason: 'time' }));
+    const first = player.nextStep().view;
+    const second = player.nextStep().view;
+
+    assert.deepEqual(first, VIEW);
+    assert.deepEqual(second, { width: 800, height: 600 });
+});
+
+test('replaying a recording reproduces the same events', () => {
+    const replay = parseReplay(serializeReplay(recordRun(1200)));
+    assert.ok(replay.events.some(([, type]) => type === 'fruitCut'), 'the sweeping hand cuts something');
+
+    const player = new ReplayPlayer(replay);
+    const view = createPerspectiveView(VIEW);
+    const simulation = new GameSimulation({ seed: replay.seed, view });
+    simulation.reset();
+    simulation.setPaused(false);
+
+    const events = [];
+    for (let step = 0; !player.isFinished(); step++) {
+        const input = player.nextStep();
+        view.setSize(input.view.width, input.view.height);
+        events.push(...toReplayEvents(step, simulation.step(replay.fixedStep, input.cuttingPaths, input.now)));
+    }
+
+    assert.equal(findEventMismatch(replay.events, events), -1);
+});
+
+test('event mismatches are located', () => {
+    const expected = [[1, 'fruitCut', 'apple', 'Left'], [5, 'bombCut']];
+    assert.equal(findEventMismatch(expected, expected.slice()), -1);
+    assert.equal(findEventMismatch(expected, [expected[0], [6, 'bombCut']]), 1);
+    assert.equal(findEventMismatch(expected, [expected[0]]), 1);
+});
+
+test('invalid replay files are rejected', () => {
+    const valid = recordRun(10);
+
+    assert.throws(() => parseReplay('{'), /Replay file: not valid JSON/);
+    assert.throws(() => parseReplay('{"format":"other"}'), /"format" must be/);
+    assert.throws(() => parseReplay(serializeReplay({ ...valid, version: 99 })), /unsupported version 99/);
+    assert.throws(() => parseReplay(serializeReplay({ ...valid, seed: 'x' })), /"seed" must be a number/);
+    assert.throws(() => parseReplay(serializeReplay({ ...valid, input: null })), /"input" must be an array/);
+    assert.deepEqual(parseReplay(serializeReplay(valid)), valid);
+});